@@ -1,12 +1,17 @@
 /**
  * Claude Cache Monitor Extension for SillyTavern
  *
- * Monitors Claude API cache performance by intercepting SSE responses.
- * Works with OpenRouter and direct Claude API.
+ * Monitors prompt cache performance by intercepting SSE responses.
+ * Works with OpenRouter and direct Claude API, plus OpenAI, Gemini and DeepSeek
+ * automatic prefix caching through provider adapters.
  */
 
-import { saveSettingsDebounced, chat } from '../../../../script.js';
-import { extension_settings } from '../../../extensions.js';
+import { saveSettingsDebounced, saveChatDebounced, chat, substituteParams, eventSource, event_types } from '../../../../script.js';
+import { extension_settings, getContext } from '../../../extensions.js';
+import { getSortedEntries } from '../../../world-info.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
 
 const extensionName = 'SillyTavern-CacheMonitor';
 const DEBUG = true; // Set to true to see console logs
@@ -15,6 +20,32 @@ function log(...args) {
     if (DEBUG) console.log('[CacheMonitor]', ...args);
 }
 
+/**
+ * Default model pricing rules (USD per 1M tokens, Nov 2025)
+ * https://claude.com/pricing#api
+ *
+ * Providers with automatic prefix caching (OpenAI, DeepSeek, Gemini) don't bill
+ * cache writes, so their write prices equal the input price.
+ *
+ * Rules are checked top to bottom; the first pattern that matches the model wins.
+ * cacheWrite is the 5-minute TTL write price, cacheWrite1h the 1-hour TTL write price.
+ */
+const defaultPricingRules = [
+    { pattern: 'opus-4-5|opus-4\\.5', label: 'Opus 4.5', input: 5.0, output: 25.0, cacheWrite: 6.25, cacheWrite1h: 10.0, cacheRead: 0.50, updated: '2025-11-24' },
+    { pattern: 'opus-4-1|opus-4\\.1', label: 'Opus 4.1', input: 15.0, output: 75.0, cacheWrite: 18.75, cacheWrite1h: 30.0, cacheRead: 1.50, updated: '2025-11-24' },
+    { pattern: 'opus', label: 'Opus (generic)', input: 5.0, output: 25.0, cacheWrite: 6.25, cacheWrite1h: 10.0, cacheRead: 0.50, updated: '2025-11-24' },
+    { pattern: 'haiku-4-5|haiku-4\\.5', label: 'Haiku 4.5', input: 1.0, output: 5.0, cacheWrite: 1.25, cacheWrite1h: 2.0, cacheRead: 0.10, updated: '2025-11-24' },
+    { pattern: 'haiku', label: 'Haiku 3.5', input: 0.80, output: 4.0, cacheWrite: 1.0, cacheWrite1h: 1.60, cacheRead: 0.08, updated: '2025-11-24' },
+    { pattern: 'gpt-5', label: 'GPT-5', input: 1.25, output: 10.0, cacheWrite: 1.25, cacheWrite1h: 1.25, cacheRead: 0.125, updated: '2025-11-24' },
+    { pattern: 'gpt-4\\.1', label: 'GPT-4.1', input: 2.0, output: 8.0, cacheWrite: 2.0, cacheWrite1h: 2.0, cacheRead: 0.50, updated: '2025-11-24' },
+    { pattern: 'gpt-4o-mini', label: 'GPT-4o mini', input: 0.15, output: 0.60, cacheWrite: 0.15, cacheWrite1h: 0.15, cacheRead: 0.075, updated: '2025-11-24' },
+    { pattern: 'gpt-4o', label: 'GPT-4o', input: 2.50, output: 10.0, cacheWrite: 2.50, cacheWrite1h: 2.50, cacheRead: 1.25, updated: '2025-11-24' },
+    { pattern: 'deepseek', label: 'DeepSeek', input: 0.28, output: 0.42, cacheWrite: 0.28, cacheWrite1h: 0.28, cacheRead: 0.028, updated: '2025-11-24' },
+    { pattern: 'gemini.*pro', label: 'Gemini Pro', input: 1.25, output: 10.0, cacheWrite: 1.25, cacheWrite1h: 1.25, cacheRead: 0.125, updated: '2025-11-24' },
+    { pattern: 'gemini.*flash', label: 'Gemini Flash', input: 0.30, output: 2.50, cacheWrite: 0.30, cacheWrite1h: 0.30, cacheRead: 0.03, updated: '2025-11-24' },
+    { pattern: '.*', label: 'Default (Sonnet 4.5)', input: 3.0, output: 15.0, cacheWrite: 3.75, cacheWrite1h: 6.0, cacheRead: 0.30, updated: '2025-11-24' },
+];
+
 // Default settings
 const defaultSettings = {
     enabled: true,
@@ -23,30 +54,68 @@ const defaultSettings = {
     wasteThreshold: 3,
     showPanel: true,
     openrouterApiKey: '', // User's OpenRouter API key for generation stats
+    pricingRules: defaultPricingRules, // Model pricing table, editable in settings
+    persistHistory: true, // Keep a request log in IndexedDB across reloads
+    historyRetentionCount: 1000, // Max saved requests (0 = unlimited)
+    historyRetentionDays: 30, // Max age of saved requests in days (0 = unlimited)
+    budgetDaily: 0, // Spend budgets in USD (0 = off)
+    budgetWeekly: 0,
+    budgetMonthly: 0,
+    budgetWarningLevels: [50, 80, 100], // Percent of a budget that triggers a warning
+    budgetHardStop: false, // Hold requests for confirmation once a budget is used up
+    wasteHardStop: false, // Hold requests for confirmation after wasteThreshold misses
+    confirmExpensiveRewrites: false, // Hold requests predicted to rewrite a warm cache
+    rewriteCostThreshold: 0.05, // Minimum estimated cost (USD) for that confirmation
+    diagnosisRules: [], // User diagnosis rules, checked before the built-in ones
 };
 
-// Session statistics
-let sessionStats = {
-    totalRequests: 0,
-    cacheHits: 0,
-    cacheMisses: 0,
-    consecutiveMisses: 0,
-    totalInputTokens: 0,
-    totalCacheReadTokens: 0,
-    totalCacheWriteTokens: 0,
-    lastUsage: null,
-    requestHistory: [],
+/**
+ * Cache TTL tiers supported by Claude's cache_control ttl field
+ */
+const CACHE_TTLS = {
+    '5m': 300000,
+    '1h': 3600000,
 };
+const DEFAULT_TTL = '5m';
+
+// Session statistics
+function createSessionStats() {
+    return {
+        totalRequests: 0,
+        cacheHits: 0,
+        cacheMisses: 0,
+        consecutiveMisses: 0,
+        totalInputTokens: 0,
+        totalCacheReadTokens: 0,
+        totalCacheWriteTokens: 0,
+        totalAttempts: 0, // Every finished request, including failed ones
+        errorRequests: 0,
+        abortedRequests: 0,
+        lastUsage: null,
+        requestHistory: [],
+    };
+}
+
+let sessionStats = createSessionStats();
 
 // Persistent daily statistics (stored in localStorage)
 const DAILY_STATS_KEY = 'cache_monitor_daily_stats';
+const DAILY_IMPORTS_KEY = 'cache_monitor_daily_imports';
+const BROWSER_ID_KEY = 'cache_monitor_browser_id';
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
  * Get today's date string in local time (YYYY-MM-DD)
  */
 function getTodayKey() {
-    const now = new Date();
-    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    return getDateKey(new Date());
+}
+
+/**
+ * Get the daily stats key (local YYYY-MM-DD) for a date
+ */
+function getDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
 /**
@@ -73,6 +142,20 @@ function saveDailyStats(stats) {
     }
 }
 
+/**
+ * Counters kept per day (summed when merging imported stats)
+ */
+const DAILY_STAT_FIELDS = ['requests', 'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'totalCost', 'savings', 'errors', 'aborted'];
+
+/**
+ * Create an empty stats entry for a day
+ */
+function createDailyStatsEntry(date) {
+    const entry = { date };
+    for (const field of DAILY_STAT_FIELDS) entry[field] = 0;
+    return entry;
+}
+
 /**
  * Get or create today's stats entry
  */
@@ -80,143 +163,1726 @@ function getTodayStats() {
     const allStats = loadDailyStats();
     const today = getTodayKey();
     if (!allStats[today]) {
-        allStats[today] = {
-            date: today,
-            requests: 0,
-            inputTokens: 0,
-            outputTokens: 0,
-            cacheReadTokens: 0,
-            cacheWriteTokens: 0,
-            totalCost: 0,
-            savings: 0,
-        };
+        allStats[today] = createDailyStatsEntry(today);
         saveDailyStats(allStats);
     }
     return allStats[today];
 }
 
 /**
- * Update today's stats with a new request
+ * Update today's stats with a new request.
+ * Failed requests without usage only count towards errors/aborted.
  */
-function updateDailyStats(usage, costs) {
+function updateDailyStats(usage, costs, status = 'OK') {
     const allStats = loadDailyStats();
     const today = getTodayKey();
 
     if (!allStats[today]) {
-        allStats[today] = {
-            date: today,
-            requests: 0,
-            inputTokens: 0,
-            outputTokens: 0,
-            cacheReadTokens: 0,
-            cacheWriteTokens: 0,
-            totalCost: 0,
-            savings: 0,
-        };
+        allStats[today] = createDailyStatsEntry(today);
     }
 
-    allStats[today].requests++;
-    allStats[today].inputTokens += usage.input_tokens || 0;
-    allStats[today].outputTokens += usage.output_tokens || 0;
-    allStats[today].cacheReadTokens += usage.cache_read_input_tokens || 0;
-    allStats[today].cacheWriteTokens += usage.cache_creation_input_tokens || 0;
-    allStats[today].totalCost += costs?.totalCost || 0;
-    allStats[today].savings += costs?.savings || 0;
+    if (usage) {
+        allStats[today].requests++;
+        allStats[today].inputTokens += usage.input_tokens || 0;
+        allStats[today].outputTokens += usage.output_tokens || 0;
+        allStats[today].cacheReadTokens += usage.cache_read_input_tokens || 0;
+        allStats[today].cacheWriteTokens += usage.cache_creation_input_tokens || 0;
+        allStats[today].totalCost += costs?.totalCost || 0;
+        allStats[today].savings += costs?.savings || 0;
+    }
+    if (status === 'ERROR') allStats[today].errors = (allStats[today].errors || 0) + 1;
+    if (status === 'ABORTED') allStats[today].aborted = (allStats[today].aborted || 0) + 1;
 
     saveDailyStats(allStats);
     return allStats[today];
 }
 
-// Current request tracking
-let currentRequest = {
-    active: false,
-    startTime: null,
-    usage: null,
-    messages: null, // Store the messages sent
-};
+/**
+ * Spend budget periods, tracked against the daily stats totals.
+ * Weeks start on Monday.
+ */
+const BUDGET_PERIODS = [
+    { id: 'daily', label: 'Daily', setting: 'budgetDaily' },
+    { id: 'weekly', label: 'Weekly', setting: 'budgetWeekly' },
+    { id: 'monthly', label: 'Monthly', setting: 'budgetMonthly' },
+];
+
+// Highest warning level already shown, keyed by "period:startDate"
+const budgetWarningsShown = new Map();
+// Budgets the user chose to keep spending past, keyed by "period:startDate"
+const budgetOverrides = new Set();
+// Miss streak length the user last chose to continue past
+let wastePauseAcknowledged = 0;
+// Confirmation currently holding requests, shared by concurrent requests
+let pendingHold = null;
 
 /**
- * Track if we've seen any Claude usage this session
+ * Get the first day (YYYY-MM-DD) of the budget period containing now
  */
-let detectedClaudeUsage = false;
+function getBudgetPeriodStart(periodId) {
+    const now = new Date();
+    if (periodId === 'weekly') {
+        now.setDate(now.getDate() - ((now.getDay() + 6) % 7));
+    } else if (periodId === 'monthly') {
+        now.setDate(1);
+    }
+    return getDateKey(now);
+}
 
 /**
- * Store previous request data for comparison
+ * Get spend against each configured budget
  */
-let previousRequest = {
-    messages: null,
-    messageHashes: null,
-    systemPrompt: null,
-    systemPromptHash: null,
-    timestamp: null,
-};
+function getBudgetStatus() {
+    const settings = extension_settings[extensionName];
+    const allStats = loadDailyStats();
+    const today = getTodayKey();
+    const status = [];
+
+    for (const period of BUDGET_PERIODS) {
+        const limit = Number(settings?.[period.setting]) || 0;
+        if (limit <= 0) continue;
+
+        const start = getBudgetPeriodStart(period.id);
+        let spent = 0;
+        for (const [date, day] of Object.entries(allStats)) {
+            if (date >= start && date <= today) spent += day.totalCost || 0;
+        }
+
+        status.push({
+            ...period,
+            key: `${period.id}:${start}`,
+            limit,
+            spent,
+            percent: (spent / limit) * 100,
+        });
+    }
+
+    return status;
+}
 
 /**
- * Simple string hash function
+ * Warn when spend crosses one of the configured budget levels.
+ * Each level is shown once per period.
  */
-function hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
+function checkBudgetWarnings() {
+    const settings = extension_settings[extensionName];
+    const levels = [...(settings?.budgetWarningLevels || [])].sort((a, b) => b - a);
+
+    for (const budget of getBudgetStatus()) {
+        const level = levels.find(l => budget.percent >= l);
+        if (level === undefined || (budgetWarningsShown.get(budget.key) || 0) >= level) continue;
+        budgetWarningsShown.set(budget.key, level);
+
+        const message = `${formatCost(budget.spent)} of ${formatCost(budget.limit)} used (${Math.round(budget.percent)}%)`;
+        if (level >= 100) {
+            toastr.error(message, `${budget.label} Budget Reached`, { timeOut: 15000 });
+        } else {
+            toastr.warning(message, `${budget.label} Budget at ${level}%`, { timeOut: 10000 });
+        }
     }
-    return hash.toString(16);
 }
 
 /**
- * Hash each message in the array
+ * Reasons to hold the next request for confirmation, if any
  */
-function hashMessages(messages) {
-    if (!messages || !Array.isArray(messages)) return [];
-    return messages.map((msg, idx) => {
-        const fullContent = typeof msg.content === 'string'
-            ? msg.content
-            : JSON.stringify(msg.content);
-        return {
-            index: idx,
-            role: msg.role,
-            contentPreview: fullContent.substring(0, 100),
-            fullContent: fullContent, // Store full content for diff
-            hash: hashString(JSON.stringify(msg)),
-            hasCacheControl: !!msg.cache_control,
+function getHoldReasons(prediction = null) {
+    const settings = extension_settings[extensionName];
+    const reasons = [];
+
+    if (settings?.confirmExpensiveRewrites
+        && prediction?.outcome === 'miss'
+        && prediction.warmCacheLost
+        && prediction.estimatedCost >= (settings.rewriteCostThreshold || 0)) {
+        reasons.push({
+            type: 'rewrite',
+            text: `Predicted full cache rewrite (${prediction.reason}), estimated ${formatCost(prediction.estimatedCost)}`,
+        });
+    }
+
+    if (settings?.budgetHardStop) {
+        for (const budget of getBudgetStatus()) {
+            if (budget.percent >= 100 && !budgetOverrides.has(budget.key)) {
+                reasons.push({
+                    type: 'budget',
+                    key: budget.key,
+                    text: `${budget.label} budget used up: ${formatCost(budget.spent)} of ${formatCost(budget.limit)}`,
+                });
+            }
+        }
+    }
+
+    if (sessionStats.consecutiveMisses < wastePauseAcknowledged) wastePauseAcknowledged = 0;
+    if (settings?.wasteHardStop
+        && sessionStats.consecutiveMisses >= settings.wasteThreshold
+        && sessionStats.consecutiveMisses > wastePauseAcknowledged) {
+        reasons.push({
+            type: 'waste',
+            text: `${sessionStats.consecutiveMisses} consecutive cache misses - the prompt prefix keeps changing`,
+        });
+    }
+
+    return reasons;
+}
+
+/**
+ * Hold a chat completion request until the user confirms it (budget used up,
+ * miss streak, or a predicted expensive cache rewrite).
+ * Resolves true to send, false to cancel. Requests arriving while a
+ * confirmation is open wait for the same answer.
+ */
+async function confirmHeldRequest(prediction = null) {
+    if (pendingHold) return pendingHold;
+
+    const reasons = getHoldReasons(prediction);
+    if (reasons.length === 0) return true;
+
+    pendingHold = showConfirmModal({
+        title: 'Request Paused',
+        message: `
+            <p>Cache Monitor is holding this request:</p>
+            <ul>${reasons.map(r => `<li>${escapeHtml(r.text)}</li>`).join('')}</ul>
+            <p>Send it anyway?</p>
+        `,
+        confirmLabel: 'Send',
+        cancelLabel: 'Cancel Request',
+    }).then(confirmed => {
+        if (confirmed) {
+            for (const reason of reasons) {
+                if (reason.type === 'budget') budgetOverrides.add(reason.key);
+                if (reason.type === 'waste') wastePauseAcknowledged = sessionStats.consecutiveMisses;
+            }
+        }
+        return confirmed;
+    }).finally(() => {
+        pendingHold = null;
+    });
+
+    return pendingHold;
+}
+
+/**
+ * Show a confirmation dialog. Resolves true if confirmed, false otherwise.
+ */
+function showConfirmModal({ title, message, confirmLabel = 'OK', cancelLabel = 'Cancel' }) {
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.id = 'cache_confirm_modal';
+        modal.innerHTML = `
+            <div class="cache_modal_backdrop"></div>
+            <div class="cache_detail_content">
+                <div class="cache_modal_header">
+                    <h3>${escapeHtml(title)}</h3>
+                    <button class="cache_modal_close">&times;</button>
+                </div>
+                <div class="cache_detail_body">${message}</div>
+                <div class="cache_modal_footer cache_confirm_buttons">
+                    <button class="menu_button cache_confirm_cancel">${escapeHtml(cancelLabel)}</button>
+                    <button class="menu_button cache_confirm_ok">${escapeHtml(confirmLabel)}</button>
+                </div>
+            </div>
+        `;
+
+        const close = (result) => {
+            modal.remove();
+            resolve(result);
         };
+
+        document.body.appendChild(modal);
+        modal.querySelector('.cache_modal_backdrop').addEventListener('click', () => close(false));
+        modal.querySelector('.cache_modal_close').addEventListener('click', () => close(false));
+        modal.querySelector('.cache_confirm_cancel').addEventListener('click', () => close(false));
+        modal.querySelector('.cache_confirm_ok').addEventListener('click', () => close(true));
     });
 }
 
+// Persistent request log (stored in IndexedDB)
+const HISTORY_DB_NAME = 'cache_monitor_history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_PAGE_SIZE = 50;
+const SESSION_ID = Date.now().toString(36); // Groups saved requests by page load
+let historyDbPromise = null;
+let persistedSinceLastPrune = 0;
+
 /**
- * Find the first difference between two strings and return context around it
+ * Wrap an IndexedDB request in a promise
  */
-function findStringDiff(str1, str2, contextChars = 200) {
-    if (!str1 || !str2) return { diffIndex: 0, context1: str1?.substring(0, 500) || '', context2: str2?.substring(0, 500) || '' };
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    // Find first differing character
-    let diffIndex = 0;
-    const minLen = Math.min(str1.length, str2.length);
-    while (diffIndex < minLen && str1[diffIndex] === str2[diffIndex]) {
-        diffIndex++;
+/**
+ * Wait for an IndexedDB transaction to finish
+ */
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Open (or create) the history database.
+ * Requests are stored without prompt text; message contents are deduplicated
+ * into a separate store keyed by content hash so diffs still work later.
+ */
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const requests = db.createObjectStore('requests', { keyPath: 'key', autoIncrement: true });
+                requests.createIndex('timestamp', 'timestamp');
+                db.createObjectStore('prompts', { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry on the next call if opening failed
+        historyDbPromise.catch(() => {
+            historyDbPromise = null;
+        });
     }
+    return historyDbPromise;
+}
 
-    // Get context around the diff point
-    const start = Math.max(0, diffIndex - contextChars);
-    const end1 = Math.min(str1.length, diffIndex + contextChars);
-    const end2 = Math.min(str2.length, diffIndex + contextChars);
+/**
+ * Get the deduplication key for a piece of prompt content
+ */
+function getContentKey(content) {
+    return `${hashString(content)}:${content.length}`;
+}
 
-    const context1 = (start > 0 ? '...' : '') + str1.substring(start, end1) + (end1 < str1.length ? '...' : '');
-    const context2 = (start > 0 ? '...' : '') + str2.substring(start, end2) + (end2 < str2.length ? '...' : '');
+/**
+ * Save a history entry to the persistent request log
+ */
+async function persistHistoryEntry(entry) {
+    if (!extension_settings[extensionName]?.persistHistory) return;
 
-    // Mark the diff position in context
-    const markerPos = diffIndex - start + (start > 0 ? 3 : 0);
+    try {
+        const db = await openHistoryDb();
+        const prompts = new Map();
+        const externalize = (content) => {
+            if (!content) return null;
+            const key = getContentKey(content);
+            prompts.set(key, content);
+            return key;
+        };
+
+        const record = {
+            ...entry,
+            sessionId: SESSION_ID,
+            messageHashes: (entry.messageHashes || []).map(({ fullContent, ...hash }) => ({
+                ...hash,
+                contentKey: externalize(fullContent),
+            })),
+            analysis: null,
+        };
+        if (entry.analysis) {
+            const { divergence, ...analysis } = entry.analysis;
+            record.analysis = analysis;
+            if (divergence) {
+                const { prevContent, currContent, ...rest } = divergence;
+                record.analysis.divergence = {
+                    ...rest,
+                    prevContentKey: externalize(prevContent),
+                    currContentKey: externalize(currContent),
+                };
+            }
+        }
+        delete record.persistKey;
+
+        const tx = db.transaction(['requests', 'prompts'], 'readwrite');
+        const done = idbTransactionDone(tx);
+        const promptStore = tx.objectStore('prompts');
+        for (const [key, content] of prompts) {
+            promptStore.put({ key, content });
+        }
+        entry.persistKey = await idbRequest(tx.objectStore('requests').add(record));
+        await done;
+
+        if (++persistedSinceLastPrune >= 25) {
+            persistedSinceLastPrune = 0;
+            await prunePersistedHistory();
+        }
+    } catch (e) {
+        log('Error persisting request history:', e);
+    }
+}
+
+/**
+ * Restore prompt contents into a saved history record
+ */
+async function hydrateHistoryEntry(record) {
+    const db = await openHistoryDb();
+    const tx = db.transaction('prompts', 'readonly');
+    const store = tx.objectStore('prompts');
+    const load = (key) => key ? idbRequest(store.get(key)).then(row => row?.content ?? null) : Promise.resolve(null);
+
+    // Issue every read up front - awaiting in between would let the transaction close
+    const messageHashes = Promise.all((record.messageHashes || []).map(hash =>
+        load(hash.contentKey).then(fullContent => ({ ...hash, fullContent }))));
+    const divergence = record.analysis?.divergence;
+    const prevContent = load(divergence?.prevContentKey);
+    const currContent = load(divergence?.currContentKey);
+
+    return {
+        ...record,
+        messageHashes: await messageHashes,
+        analysis: record.analysis && {
+            ...record.analysis,
+            divergence: divergence && {
+                ...divergence,
+                prevContent: await prevContent,
+                currContent: await currContent,
+            },
+        },
+    };
+}
+
+/**
+ * Load one page of saved requests from earlier sessions, newest first.
+ * Pass the returned nextKey to load the following page.
+ */
+async function loadPersistedHistoryPage(beforeKey = null, limit = HISTORY_PAGE_SIZE) {
+    const db = await openHistoryDb();
+    const tx = db.transaction('requests', 'readonly');
+    const range = beforeKey !== null ? IDBKeyRange.upperBound(beforeKey, true) : null;
+    const request = tx.objectStore('requests').openCursor(range, 'prev');
+
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        let lastKey = null;
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || entries.length >= limit) {
+                resolve({ entries, nextKey: cursor ? lastKey : null });
+                return;
+            }
+            lastKey = cursor.key;
+            if (cursor.value.sessionId !== SESSION_ID) {
+                entries.push(cursor.value);
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Apply the retention settings and drop prompt contents no request uses anymore
+ */
+async function prunePersistedHistory() {
+    const settings = extension_settings[extensionName];
+    const maxCount = Number(settings?.historyRetentionCount) || 0;
+    const maxDays = Number(settings?.historyRetentionDays) || 0;
+
+    try {
+        const db = await openHistoryDb();
+        const tx = db.transaction(['requests', 'prompts'], 'readwrite');
+        const done = idbTransactionDone(tx);
+        const requests = tx.objectStore('requests');
+        const prompts = tx.objectStore('prompts');
+
+        // Age limit
+        if (maxDays > 0) {
+            const cutoff = Date.now() - maxDays * 86400000;
+            const expired = await idbRequest(requests.index('timestamp').getAllKeys(IDBKeyRange.upperBound(cutoff)));
+            expired.forEach(key => requests.delete(key));
+        }
+
+        // Count limit - keys are ascending, so the oldest come first
+        const keys = await idbRequest(requests.getAllKeys());
+        if (maxCount > 0 && keys.length > maxCount) {
+            keys.slice(0, keys.length - maxCount).forEach(key => requests.delete(key));
+        }
+
+        // Garbage-collect unreferenced prompt contents
+        const referenced = new Set();
+        for (const record of await idbRequest(requests.getAll())) {
+            record.messageHashes?.forEach(hash => hash.contentKey && referenced.add(hash.contentKey));
+            if (record.analysis?.divergence?.prevContentKey) referenced.add(record.analysis.divergence.prevContentKey);
+            if (record.analysis?.divergence?.currContentKey) referenced.add(record.analysis.divergence.currContentKey);
+        }
+        for (const key of await idbRequest(prompts.getAllKeys())) {
+            if (!referenced.has(key)) prompts.delete(key);
+        }
+
+        await done;
+    } catch (e) {
+        log('Error pruning request history:', e);
+    }
+}
+
+/**
+ * Delete every saved request
+ */
+async function clearPersistedHistory() {
+    const db = await openHistoryDb();
+    const tx = db.transaction(['requests', 'prompts'], 'readwrite');
+    const done = idbTransactionDone(tx);
+    tx.objectStore('requests').clear();
+    tx.objectStore('prompts').clear();
+    await done;
+}
+
+/**
+ * In-flight requests, keyed by request ID. Each intercepted fetch gets its own
+ * context so overlapping generations never share messages, timing or usage.
+ */
+const activeRequests = new Map();
+let requestCounter = 0;
+
+/**
+ * Create a tracking context for an intercepted request
+ */
+function createRequestContext({ model = '', messages = null, cacheTtls = [], breakpoints = [], segments = [], prefixParts = null, tags = {} } = {}) {
+    const ctx = {
+        id: ++requestCounter,
+        model, // Model requested (usage reports the model actually used)
+        tags, // Chat/character/API source active when the request was sent
+        active: true,
+        startTime: Date.now(),
+        usage: null,
+        messages, // Store the messages sent
+        cacheTtls, // TTL tiers declared by cache_control blocks in the request
+        breakpoints, // cache_control breakpoints found in the request
+        segments, // Prompt segments in prefix order, for the placement advisor
+        prefixParts, // Hashes of the model, tools, system field and cache parameters
+        loreEntries: null, // World Info entries found in the prompt, in prompt order (matched on completion)
+        overlaps: new Set(), // IDs of requests that were in flight at the same time
+    };
+
+    for (const other of activeRequests.values()) {
+        other.overlaps.add(ctx.id);
+        ctx.overlaps.add(other.id);
+    }
+    activeRequests.set(ctx.id, ctx);
+
+    if (ctx.overlaps.size > 0) {
+        log(`Request #${ctx.id} overlaps with`, [...ctx.overlaps]);
+    }
+    return ctx;
+}
+
+/**
+ * Generation types reported by SillyTavern's GENERATION_STARTED event, plus
+ * 'background' for requests sent without one (extensions calling the API directly)
+ */
+const generationTypeLabels = {
+    normal: 'Send',
+    swipe: 'Swipe',
+    regenerate: 'Regenerate',
+    continue: 'Continue',
+    impersonate: 'Impersonate',
+    quiet: 'Quiet',
+    group_chat: 'Group',
+    background: 'Background',
+};
+
+/**
+ * Quiet and background generations use their own prompts, so they are kept
+ * out of the chain of requests that later ones are compared against
+ */
+const BACKGROUND_GENERATION_TYPES = ['quiet', 'background'];
+
+/**
+ * Type of the generation currently running, between GENERATION_STARTED and
+ * GENERATION_ENDED / GENERATION_STOPPED
+ */
+let activeGenerationType = null;
+
+/**
+ * Listen for SillyTavern's generation events to label requests by type
+ */
+function trackGenerationEvents() {
+    eventSource.on(event_types.GENERATION_STARTED, (type, _options, dryRun) => {
+        if (dryRun) return;
+        activeGenerationType = type || 'normal';
+    });
+    const clear = () => {
+        activeGenerationType = null;
+    };
+    eventSource.on(event_types.GENERATION_ENDED, clear);
+    eventSource.on(event_types.GENERATION_STOPPED, clear);
+}
+
+/**
+ * Whether a request body was built by SillyTavern's own chat completion
+ * request, which names the user and character. Extensions calling the API
+ * directly (summaries, trackers...) send bodies without them.
+ */
+function isGenerationRequest(body) {
+    return typeof body?.user_name === 'string' && typeof body?.char_name === 'string';
+}
+
+/**
+ * Get the generation type of an intercepted request. Only SillyTavern's own
+ * chat requests sent while a generation runs get its type; requests other
+ * extensions send in the meantime, or outside a generation, are background.
+ */
+function getGenerationType(body) {
+    return activeGenerationType && isGenerationRequest(body) ? activeGenerationType : 'background';
+}
+
+/**
+ * Get the display label of a generation type
+ */
+function formatGenerationType(type) {
+    if (!type) return 'Unknown';
+    return generationTypeLabels[type] || type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * Check whether a request belongs to the comparison chain (not quiet/background)
+ */
+function isChainRequest(request) {
+    return !BACKGROUND_GENERATION_TYPES.includes(request.generationType);
+}
+
+/**
+ * Read the active chat, character or group and API source from SillyTavern's context
+ */
+function getChatTags(body) {
+    const tags = {
+        chatId: null,
+        characterName: null,
+        groupName: null,
+        apiSource: body?.chat_completion_source || null,
+    };
+
+    try {
+        const context = getContext();
+        const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+        const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+
+        tags.chatId = context.getCurrentChatId?.() || context.chatId || null;
+        tags.groupName = group?.name || null;
+        tags.characterName = group ? null : (character?.name || context.name2 || null);
+        tags.apiSource = tags.apiSource || context.chatCompletionSettings?.chat_completion_source || context.mainApi || null;
+    } catch (e) {
+        log('Could not read chat context:', e);
+    }
+
+    return tags;
+}
+
+/**
+ * Mark a request context as finished
+ */
+function finishRequestContext(ctx) {
+    ctx.active = false;
+    activeRequests.delete(ctx.id);
+}
+
+/**
+ * Track if we've seen any usage from a supported provider this session
+ */
+let detectedUsage = false;
+
+/**
+ * Rolling pool of recently completed requests (most recent first). Several
+ * cached prefixes stay warm at once - e.g. across swipes, branches or two
+ * alternating characters - so misses are compared against the longest warm
+ * match and hits are traced back to the request that most likely cached them.
+ */
+let completedRequests = [];
+const MAX_COMPLETED_REQUESTS = 20;
+
+/**
+ * Find the request a new one should be compared against: the most recently
+ * completed request that was sent before it
+ */
+function findPredecessor(ctx) {
+    return completedRequests.find(r => r.id !== ctx.id && r.startTime < ctx.startTime && isChainRequest(r)) || null;
+}
+
+/**
+ * Get how long a pooled request's cache lives after it was last used
+ */
+function getPoolTtlMs(request) {
+    const tiers = request.cacheTtls?.length > 0 ? request.cacheTtls : [request.defaultTtl || DEFAULT_TTL];
+    return Math.max(...tiers.map(getTtlMs));
+}
+
+/**
+ * Match a prompt against the request pool: how much of it each earlier
+ * request shares, and whether that request's cache is still warm.
+ * Only requests to the same model can share a cache.
+ */
+function matchPrefixPool(segments, model, sentAt, excludeId = null) {
+    if (!segments?.length) return [];
+    return completedRequests
+        .filter(r => r.id !== excludeId && r.startTime < sentAt && r.segments?.length > 0 && isChainRequest(r))
+        .map(request => {
+            const sharedSegments = countSharedSegments(request.segments, segments);
+            return {
+                request,
+                sharedSegments,
+                sharedTokens: sharedSegments > 0 ? segments[sharedSegments - 1].prefixTokens : 0,
+                warm: (!model || !request.model || request.model === model)
+                    && sentAt - request.lastUsedAt < getPoolTtlMs(request),
+            };
+        });
+}
+
+/**
+ * Pick the warm pool match sharing the longest prefix (most recent on ties)
+ */
+function findLongestWarmMatch(matches) {
+    return matches
+        .filter(m => m.warm && m.sharedTokens > 0)
+        .sort((a, b) => b.sharedTokens - a.sharedTokens || b.request.startTime - a.request.startTime)[0] || null;
+}
+
+/**
+ * Pick the request a cache read most likely came from: the most recent warm
+ * match that shares at least the tokens read (allowing for estimate error),
+ * otherwise the longest warm match
+ */
+function findCacheSource(matches, readTokens) {
+    const covering = matches
+        .filter(m => m.warm && m.sharedTokens >= readTokens * 0.85)
+        .sort((a, b) => b.request.startTime - a.request.startTime)[0];
+    return covering || findLongestWarmMatch(matches);
+}
+
+/**
+ * Record a completed request as a comparison candidate for later requests
+ */
+function recordCompletedRequest(ctx, messageHashes) {
+    const messages = ctx.messages;
+    completedRequests.unshift({
+        id: ctx.id,
+        startTime: ctx.startTime,
+        messages,
+        messageHashes,
+        systemPrompt: messages?.[0]?.role === 'system' ? messages[0] : null, // Top-level system is tracked in prefixParts
+        systemPromptHash: messages?.[0]?.role === 'system'
+            ? hashString(JSON.stringify(messages[0]))
+            : null,
+        cacheTtls: ctx.cacheTtls,
+        defaultTtl: getProvider(ctx.usage?.provider).defaultTtl,
+        model: ctx.usage?.model || ctx.model,
+        segments: ctx.segments,
+        prefixParts: ctx.prefixParts,
+        loreEntries: ctx.loreEntries,
+        generationType: ctx.tags.generationType,
+        timestamp: Date.now(),
+        lastUsedAt: Date.now(), // Refreshed whenever a later request reads this prefix
+    });
+    if (completedRequests.length > MAX_COMPLETED_REQUESTS) {
+        completedRequests.length = MAX_COMPLETED_REQUESTS;
+    }
+}
+
+/**
+ * Known cache breakpoint prefixes, keyed by prefix hash.
+ * Each entry tracks when that prefix was last written or read.
+ */
+const breakpointState = new Map();
+
+/**
+ * Breakpoints found in the most recent request
+ */
+let currentBreakpoints = [];
+
+/**
+ * Last time each TTL tier was written or read (refreshes its countdown)
+ */
+let cacheTierActivity = {
+    '5m': null,
+    '1h': null,
+};
+
+/**
+ * Simple string hash function
+ */
+function hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32bit integer
+    }
+    return hash.toString(16);
+}
+
+/**
+ * Get the TTL in ms for a cache_control ttl value
+ */
+function getTtlMs(ttl) {
+    return CACHE_TTLS[ttl] || CACHE_TTLS[DEFAULT_TTL];
+}
+
+/**
+ * Format a TTL in ms as a short label (e.g. "5m", "1h")
+ */
+function formatTtl(ttlMs) {
+    return ttlMs >= 3600000 ? `${Math.round(ttlMs / 3600000)}h` : `${Math.round(ttlMs / 60000)}m`;
+}
+
+/**
+ * Collect the TTL tiers of every cache_control block in a request body.
+ * Blocks without an explicit ttl use the 5-minute default.
+ */
+function collectCacheTtls(body) {
+    const ttls = new Set();
+    const visit = (item) => {
+        if (!item || typeof item !== 'object') return;
+        if (item.cache_control) {
+            ttls.add(CACHE_TTLS[item.cache_control.ttl] ? item.cache_control.ttl : DEFAULT_TTL);
+        }
+        if (Array.isArray(item.content)) item.content.forEach(visit);
+    };
+
+    if (Array.isArray(body?.system)) body.system.forEach(visit);
+    if (Array.isArray(body?.tools)) body.tools.forEach(visit);
+    const messages = body?.messages || body?.prompt?.messages;
+    if (Array.isArray(messages)) messages.forEach(visit);
+
+    return [...ttls];
+}
+
+/**
+ * Local token estimate for a piece of text, close to Claude's tokenizer:
+ * - CJK characters: about one token each
+ * - Words: one token, plus one per ~5.5 characters for long words
+ * - Numbers: one token per ~3 digits
+ * - Punctuation and symbols (JSON, markup): one token per ~2 characters
+ * - Line breaks: one token per run; single spaces merge into the next word
+ */
+const TOKEN_PATTERN = /(\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul})|((?:(?!\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul})[\p{L}\p{M}])+)|(\p{N}+)|([^\S\n]*\n\s*)|(\s+)|([^\s\p{L}\p{M}\p{N}]+)/gu;
+
+function estimateTokens(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (const [, cjk, word, number, newline, space, symbols] of text.matchAll(TOKEN_PATTERN)) {
+        if (cjk) tokens += 1;
+        else if (word) tokens += Math.max(1, Math.round(word.length / 5.5));
+        else if (number) tokens += Math.ceil(number.length / 3);
+        else if (newline) tokens += 1;
+        else if (space) tokens += Math.ceil((space.length - 1) / 4);
+        else if (symbols) tokens += Math.ceil(symbols.length / 2);
+    }
+    return tokens;
+}
+
+/**
+ * Get the text that a prompt item contributes to the prefix
+ */
+function getBlockText(item) {
+    if (typeof item === 'string') return item;
+    if (!item || typeof item !== 'object') return '';
+    if (typeof item.text === 'string') return item.text;
+    if (typeof item.content === 'string') return item.content;
+    const { cache_control, ...rest } = item;
+    return JSON.stringify(rest);
+}
+
+/**
+ * Request parameters outside the prompt text that still change the cache:
+ * Claude drops cached message blocks when thinking or tool_choice change
+ * (tools and system stay cached). SillyTavern sends thinking as reasoning_effort.
+ */
+const CACHE_PARAM_FIELDS = ['thinking', 'reasoning_effort', 'include_reasoning', 'tool_choice'];
+
+/**
+ * Get a tool's name from Claude ({ name }) or OpenAI ({ function: { name } }) format
+ */
+function getToolName(tool, index) {
+    return tool?.name || tool?.function?.name || `Tool ${index}`;
+}
+
+/**
+ * Hash the parts of a request's cache key that aren't messages, each on its own:
+ * model, tool definitions, top-level system field and cache-relevant parameters
+ */
+function hashPrefixParts(body) {
+    if (!body || typeof body !== 'object') return null;
+
+    const params = {};
+    for (const field of CACHE_PARAM_FIELDS) {
+        if (body[field] !== undefined) params[field] = body[field];
+    }
+    const tools = Array.isArray(body.tools) ? body.tools : [];
+
+    return {
+        model: body.model || '',
+        tools: tools.map((tool, i) => ({ name: getToolName(tool, i), hash: hashString(JSON.stringify(tool)) })),
+        system: body.system !== undefined ? hashString(JSON.stringify(body.system)) : null,
+        systemBlocks: Array.isArray(body.system)
+            ? body.system.map((block, i) => {
+                const { text, ...info } = describeContentBlock(block, i);
+                return info;
+            })
+            : null,
+        params,
+        paramsHash: hashString(JSON.stringify(params)),
+    };
+}
+
+/**
+ * Format a request parameter value for a diagnosis message
+ */
+function formatParamValue(value) {
+    if (value === undefined) return 'unset';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Compare the non-message prefix parts of two requests.
+ * Returns the changes in cache prefix order, most fundamental first.
+ */
+function comparePrefixParts(prev, curr) {
+    if (!prev || !curr) return [];
+    const changes = [];
+
+    if (prev.model && curr.model && prev.model !== curr.model) {
+        changes.push({ type: 'model', short: 'model switched', message: `Model switched (${prev.model} → ${curr.model})` });
+    }
+
+    const prevTools = new Map(prev.tools.map(t => [t.name, t.hash]));
+    const currTools = new Map(curr.tools.map(t => [t.name, t.hash]));
+    const added = curr.tools.filter(t => !prevTools.has(t.name)).map(t => `+${t.name}`);
+    const removed = prev.tools.filter(t => !currTools.has(t.name)).map(t => `−${t.name}`);
+    const changed = curr.tools.filter(t => prevTools.has(t.name) && prevTools.get(t.name) !== t.hash).map(t => `~${t.name}`);
+    const toolChanges = [...added, ...removed, ...changed];
+    const reordered = toolChanges.length === 0 && prev.tools.map(t => t.name).join() !== curr.tools.map(t => t.name).join();
+    if (toolChanges.length > 0 || reordered) {
+        changes.push({
+            type: 'tools',
+            short: 'tools changed',
+            message: `Tool definitions changed (${reordered ? 'reordered' : toolChanges.join(', ')})`,
+        });
+    }
+
+    if (prev.system !== curr.system) {
+        const blockChange = prev.systemBlocks && curr.systemBlocks ? findBlockDivergence(prev.systemBlocks, curr.systemBlocks) : null;
+        changes.push({
+            type: 'system',
+            short: 'system changed',
+            message: blockChange ? `System ${describeBlockChange(blockChange)}` : 'Top-level system prompt changed',
+        });
+    }
+
+    const thinkingChanges = CACHE_PARAM_FIELDS
+        .filter(field => field !== 'tool_choice')
+        .map(field => [field, formatParamValue(prev.params[field]), formatParamValue(curr.params[field])])
+        .filter(([, before, after]) => before !== after)
+        .map(([field, before, after]) => `${field}: ${before} → ${after}`);
+    if (thinkingChanges.length > 0) {
+        changes.push({ type: 'thinking', short: 'thinking changed', message: `Thinking settings changed (${thinkingChanges.join(', ')})` });
+    }
+
+    const prevChoice = formatParamValue(prev.params.tool_choice);
+    const currChoice = formatParamValue(curr.params.tool_choice);
+    if (prevChoice !== currChoice) {
+        changes.push({ type: 'tool_choice', short: 'tool_choice changed', message: `tool_choice changed (${prevChoice} → ${currChoice})` });
+    }
+
+    return changes;
+}
+
+/**
+ * Split a request body into prompt segments in prefix order
+ * (tools -> system -> messages): one per tool, system block and message
+ * (or message content block). Each carries its estimated size, the running
+ * prefix size and a hash of the whole prefix up to and including it.
+ * The model seeds the hash chain and the cache-relevant parameters are mixed
+ * in before the messages, so those changes break the prefix where the API does.
+ */
+function extractPromptSegments(body) {
+    const segments = [];
+    if (!body || typeof body !== 'object') return segments;
+
+    let prefixChars = 0;
+    let prefixTokens = 0;
+    let prefixHash = hashString(`model:${body.model || ''}`);
+    const addItem = (item, segment, label, canCache = true) => {
+        const text = getBlockText(item);
+        const tokens = estimateTokens(text);
+        prefixChars += text.length;
+        prefixTokens += tokens;
+        prefixHash = hashString(`${prefixHash}:${hashString(text)}`);
+        segments.push({
+            segment,
+            label,
+            tokens,
+            prefixChars,
+            prefixTokens,
+            prefixHash,
+            canCache, // Whether a cache_control marker can go here
+            cacheControl: item?.cache_control || null,
+        });
+    };
+
+    if (Array.isArray(body.tools)) {
+        body.tools.forEach((tool, i) => addItem(tool, 'tools', `Tool ${i}${tool?.name ? ` (${tool.name})` : ''}`));
+    }
+
+    if (typeof body.system === 'string') {
+        addItem(body.system, 'system', 'System prompt', false);
+    } else if (Array.isArray(body.system)) {
+        body.system.forEach((block, i) => addItem(block, 'system', `System block ${i}`));
+    }
+
+    const messages = body.messages || body.prompt?.messages;
+    if (Array.isArray(messages)) {
+        prefixHash = hashString(`${prefixHash}:params:${hashPrefixParts(body).paramsHash}`);
+        messages.forEach((msg, i) => {
+            if (Array.isArray(msg?.content)) {
+                msg.content.forEach((block, j) => addItem(block, 'messages', `Message ${i} (${msg.role}) block ${j}`));
+                if (msg.cache_control) addItem({ cache_control: msg.cache_control, text: '' }, 'messages', `Message ${i} (${msg.role})`);
+            } else {
+                addItem({ cache_control: msg?.cache_control, text: msg?.content || '' }, 'messages', `Message ${i} (${msg?.role})`);
+            }
+        });
+    }
+
+    return segments;
+}
+
+/**
+ * Get the cache_control breakpoints among a request's prompt segments,
+ * with the estimated prefix length up to each
+ */
+function extractBreakpoints(segments) {
+    return segments
+        .filter(seg => seg.cacheControl)
+        .map(seg => ({
+            segment: seg.segment,
+            label: seg.label,
+            ttl: CACHE_TTLS[seg.cacheControl.ttl] ? seg.cacheControl.ttl : DEFAULT_TTL,
+            prefixChars: seg.prefixChars,
+            prefixTokens: seg.prefixTokens,
+            prefixHash: seg.prefixHash,
+        }));
+}
+
+/**
+ * Check whether a breakpoint prefix is still cached
+ */
+function isPrefixWarm(prefixHash, now = Date.now()) {
+    const state = breakpointState.get(prefixHash);
+    if (!state) return false;
+    const lastActivity = Math.max(state.lastWriteAt || 0, state.lastReadAt || 0);
+    return now - lastActivity < getTtlMs(state.ttl);
+}
+
+/**
+ * Update breakpoint state after a response.
+ * The API reads the longest cached prefix and writes everything after it up to
+ * the last breakpoint, so breakpoints up to the last warm one count as read.
+ */
+function updateBreakpointState(breakpoints, usage) {
+    const now = Date.now();
+    const readTokens = usage.cache_read_input_tokens || 0;
+    const writeTokens = usage.cache_creation_input_tokens || 0;
+    const isWarm = (bp) => isPrefixWarm(bp.prefixHash, now);
+
+    // Index of the last breakpoint served from cache
+    let readIndex = -1;
+    if (readTokens > 0) {
+        breakpoints.forEach((bp, i) => {
+            if (isWarm(bp)) readIndex = i;
+        });
+        // No known warm prefix (e.g. after a reload) - fall back to the token estimate
+        if (readIndex === -1) {
+            breakpoints.forEach((bp, i) => {
+                if (bp.prefixTokens <= readTokens * 1.15) readIndex = i;
+            });
+        }
+    }
+
+    breakpoints.forEach((bp, i) => {
+        const state = breakpointState.get(bp.prefixHash) || {};
+        if (i <= readIndex) {
+            bp.status = 'read';
+            state.lastReadAt = now;
+        } else if (writeTokens > 0) {
+            bp.status = 'write';
+            state.lastWriteAt = now;
+        } else {
+            bp.status = 'none';
+        }
+        breakpointState.set(bp.prefixHash, { ...state, label: bp.label, segment: bp.segment, ttl: bp.ttl, prefixTokens: bp.prefixTokens });
+    });
+
+    // Drop prefixes that have been cold for over an hour
+    for (const [hash, state] of breakpointState) {
+        const lastActivity = Math.max(state.lastWriteAt || 0, state.lastReadAt || 0);
+        if (now - lastActivity > getTtlMs(state.ttl) + CACHE_TTLS['1h']) {
+            breakpointState.delete(hash);
+        }
+    }
+}
+
+// Claude allows at most 4 cache_control breakpoints per request
+const MAX_BREAKPOINTS = 4;
+
+/**
+ * Savings per token read from cache and per token written to it, priced by
+ * calculateCosts (writes usually cost more than uncached input, so negative)
+ */
+function getCacheTokenValues(model, ttl) {
+    const unit = 1_000_000;
+    const read = calculateCosts({ model, input_tokens: unit, cache_read_input_tokens: unit }).savings;
+    const write = calculateCosts({
+        model,
+        input_tokens: unit,
+        cache_creation_input_tokens: unit,
+        cache_creation: {
+            ephemeral_5m_input_tokens: ttl === '1h' ? 0 : unit,
+            ephemeral_1h_input_tokens: ttl === '1h' ? unit : 0,
+        },
+    }).savings;
+    return { read: read / unit, write: write / unit };
+}
+
+/**
+ * Count the leading prompt segments two requests share
+ */
+function countSharedSegments(prevSegments, currSegments) {
+    let i = 0;
+    while (i < currSegments.length && i < prevSegments.length && currSegments[i].prefixHash === prevSegments[i].prefixHash) i++;
+    return i;
+}
+
+/**
+ * Estimate cache reads and writes for a request if breakpoints sat at the given
+ * segment positions and its first `reusable` segments were still cached.
+ * The longest cached breakpoint prefix is read; everything after it up to the
+ * last breakpoint is written.
+ */
+function simulateBreakpoints(segments, positions, reusable) {
+    let read = 0;
+    let last = 0;
+    for (const p of positions) {
+        if (p >= segments.length) continue;
+        const tokens = segments[p].prefixTokens;
+        if (p < reusable) read = Math.max(read, tokens);
+        last = Math.max(last, tokens);
+    }
+    return {
+        read,
+        written: last - read,
+        total: segments[segments.length - 1]?.prefixTokens || 0,
+    };
+}
+
+/**
+ * Recommend cache_control placement from recent requests.
+ *
+ * Each pair of consecutive requests shows how many leading segments could have
+ * been served from cache. Breakpoints are chosen from the latest request's
+ * segment positions (counted from the start of the prompt) to maximize
+ * calculateCosts savings across those pairs, assuming the same placement on
+ * every request. Sorted breakpoints b1 < ... < bk read the prefix up to the
+ * last bi still reusable and write up to bk, so the savings split into
+ * per-pair gains plus a write penalty for bk, which a DP maximizes.
+ */
+function analyzeBreakpointPlacement() {
+    const sample = completedRequests.filter(r => r.segments?.length > 0).reverse(); // Oldest first
+    if (sample.length < 2) return null;
+
+    const latest = sample[sample.length - 1];
+    const ttl = latest.cacheTtls?.includes('1h') ? '1h' : DEFAULT_TTL;
+    const cacheCreation = (tokens) => ({
+        ephemeral_5m_input_tokens: ttl === '1h' ? 0 : tokens,
+        ephemeral_1h_input_tokens: ttl === '1h' ? tokens : 0,
+    });
+
+    const pairs = sample.slice(1).map((curr, i) => {
+        const prev = sample[i];
+        const shared = countSharedSegments(prev.segments, curr.segments);
+        // Cache entries don't survive a model switch or an expired TTL
+        const expired = curr.startTime - prev.startTime > getTtlMs(ttl) || (prev.model && curr.model && prev.model !== curr.model);
+        return {
+            curr,
+            shared,
+            reusable: expired ? 0 : shared,
+            values: getCacheTokenValues(curr.model, ttl),
+        };
+    });
+
+    const segments = latest.segments.map((seg, i) => ({
+        ...seg,
+        index: i,
+        fromEnd: latest.segments.length - 1 - i,
+        changeRate: pairs.filter(p => p.shared <= i).length / pairs.length,
+    }));
+
+    // Candidate positions and the DP terms for them
+    const candidates = segments.filter(seg => seg.canCache && seg.tokens > 0).map(seg => seg.index);
+    const tokensAt = (segs, p) => (p < 0 ? 0 : segs[Math.min(p, segs.length - 1)].prefixTokens);
+    const gain = (a, b) => {
+        let total = 0;
+        for (const pair of pairs) {
+            if (b >= pair.reusable) continue;
+            const segs = pair.curr.segments;
+            total += (tokensAt(segs, b) - tokensAt(segs, a)) * (pair.values.read - pair.values.write);
+        }
+        return total;
+    };
+    const writePenalty = (b) => pairs.reduce((sum, pair) => sum + tokensAt(pair.curr.segments, b) * pair.values.write, 0);
+
+    // best[k][j] = best gain with k + 1 breakpoints, the last at candidates[j]
+    const n = candidates.length;
+    const best = [];
+    const from = [];
+    for (let k = 0; k < MAX_BREAKPOINTS; k++) {
+        best.push(new Float64Array(n).fill(-Infinity));
+        from.push(new Int32Array(n).fill(-1));
+        for (let j = 0; j < n; j++) {
+            if (k === 0) {
+                best[k][j] = gain(-1, candidates[j]);
+                continue;
+            }
+            for (let i = 0; i < j; i++) {
+                if (best[k - 1][i] === -Infinity) continue;
+                const value = best[k - 1][i] + gain(candidates[i], candidates[j]);
+                if (value > best[k][j]) {
+                    best[k][j] = value;
+                    from[k][j] = i;
+                }
+            }
+        }
+    }
+
+    let bestValue = 0;
+    let bestEnd = null;
+    for (let k = 0; k < MAX_BREAKPOINTS; k++) {
+        for (let j = 0; j < n; j++) {
+            const value = best[k][j] + writePenalty(candidates[j]);
+            if (value > bestValue + 1e-12) {
+                bestValue = value;
+                bestEnd = [k, j];
+            }
+        }
+    }
+
+    const recommended = [];
+    if (bestEnd) {
+        let [k, j] = bestEnd;
+        while (j >= 0) {
+            recommended.unshift(candidates[j]);
+            j = from[k][j];
+            k--;
+        }
+    }
+
+    // Price the current and recommended placement over the same requests
+    const evaluate = (getPositions) => {
+        let cost = 0;
+        let readTokens = 0;
+        for (const pair of pairs) {
+            const sim = simulateBreakpoints(pair.curr.segments, getPositions(pair.curr), pair.reusable);
+            cost += calculateCosts({
+                model: pair.curr.model,
+                input_tokens: sim.total,
+                cache_read_input_tokens: sim.read,
+                cache_creation_input_tokens: sim.written,
+                cache_creation: cacheCreation(sim.written),
+            }).totalCost;
+            readTokens += sim.read;
+        }
+        return { cost: cost / pairs.length, readTokens: readTokens / pairs.length };
+    };
+    const markerPositions = (request) => request.segments.flatMap((seg, i) => (seg.cacheControl ? [i] : []));
+
+    return {
+        pairCount: pairs.length,
+        ttl,
+        segments: segments.map(seg => ({ ...seg, recommended: recommended.includes(seg.index) })),
+        recommended,
+        current: evaluate(markerPositions),
+        proposed: evaluate(() => recommended),
+    };
+}
+
+/**
+ * Predict how an outgoing request will use the cache, before it is sent.
+ *
+ * Claude reads the longest warm breakpoint prefix found up to the request's
+ * last breakpoint and writes the rest up to it. Automatic-caching providers,
+ * and Claude requests whose markers SillyTavern's backend adds, are estimated
+ * from the longest prefix shared with a recent request to the same model.
+ * Returns null if the model has no provider adapter.
+ */
+function predictCacheOutcome(model, segments, breakpoints, now = Date.now(), prefixParts = null) {
+    const provider = getProviderForModel(model);
+    if (!provider || !segments?.length) return null;
+
+    const totalTokens = segments[segments.length - 1].prefixTokens;
+    const previous = completedRequests.find(r => r.segments?.length > 0 && r.startTime < now && isChainRequest(r));
+    const shared = previous ? countSharedSegments(previous.segments, segments) : segments.length;
+    const prediction = {
+        provider: provider.id,
+        outcome: 'miss',
+        reason: null,
+        readTokens: 0,
+        writeTokens: 0,
+        totalTokens,
+        warmCacheLost: false,
+        // First segment that differs from the previous request
+        divergeLabel: shared < segments.length && shared < (previous?.segments.length || 0) ? segments[shared].label : null,
+    };
+
+    const cacheability = checkCacheability(model, provider, segments, breakpoints);
+    if (cacheability) {
+        prediction.outcome = 'uncacheable';
+        prediction.reason = 'prefix too short';
+    } else if (provider.explicitCaching && breakpoints.length > 0) {
+        const lastIndex = segments.findLastIndex(seg => seg.cacheControl);
+        const cacheable = segments[lastIndex].prefixTokens;
+        for (let i = 0; i <= lastIndex; i++) {
+            if (isPrefixWarm(segments[i].prefixHash, now)) prediction.readTokens = segments[i].prefixTokens;
+        }
+        prediction.writeTokens = cacheable - prediction.readTokens;
+        prediction.outcome = prediction.readTokens === 0 ? 'miss' : prediction.writeTokens <= cacheable * 0.1 ? 'hit' : 'partial';
+        prediction.warmCacheLost = prediction.readTokens === 0 && [...breakpointState.keys()].some(hash => isPrefixWarm(hash, now));
+    } else {
+        const minTokens = getCacheMinimum(model) || 0;
+        const warm = matchPrefixPool(segments, model, now).filter(m => m.warm && m.request.model === model);
+        for (const match of warm) {
+            if (match.sharedTokens >= minTokens) prediction.readTokens = Math.max(prediction.readTokens, match.sharedTokens);
+        }
+        prediction.outcome = prediction.readTokens === 0 ? 'miss' : prediction.readTokens >= totalTokens * 0.9 ? 'hit' : 'partial';
+        prediction.warmCacheLost = prediction.readTokens === 0 && warm.length > 0;
+    }
+
+    if (prediction.outcome === 'miss' && !prediction.reason) {
+        const prefixChange = comparePrefixParts(previous?.prefixParts, prefixParts)[0];
+        if (prefixChange) prediction.reason = prefixChange.short;
+        else if (prediction.warmCacheLost && prediction.divergeLabel) prediction.reason = `prompt changed at ${prediction.divergeLabel}`;
+        else if (previous && previous.model && previous.model !== model) prediction.reason = 'model switched';
+        else if (previous) prediction.reason = 'cache expired';
+        else prediction.reason = 'nothing cached yet';
+    }
+
+    // Expected output: recent average for this model
+    const recentOutputs = sessionStats.requestHistory
+        .filter(e => e.usage?.model === model)
+        .slice(-10)
+        .map(e => e.usage.output_tokens || 0);
+    const outputTokens = recentOutputs.length > 0 ? Math.round(recentOutputs.reduce((a, b) => a + b, 0) / recentOutputs.length) : 0;
+    const ttl = breakpoints[breakpoints.length - 1]?.ttl || provider.defaultTtl;
+
+    prediction.outputTokens = outputTokens;
+    prediction.estimatedCost = calculateCosts({
+        model,
+        input_tokens: totalTokens,
+        output_tokens: outputTokens,
+        cache_read_input_tokens: prediction.readTokens,
+        cache_creation_input_tokens: prediction.writeTokens,
+        cache_creation: {
+            ephemeral_5m_input_tokens: ttl === '1h' ? 0 : prediction.writeTokens,
+            ephemeral_1h_input_tokens: ttl === '1h' ? prediction.writeTokens : 0,
+        },
+    }).totalCost;
+
+    return prediction;
+}
+
+/**
+ * Format a prediction for the panel
+ */
+function formatPrediction(prediction) {
+    const k = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+    const cost = `~${formatCost(prediction.estimatedCost)}`;
+    switch (prediction.outcome) {
+        case 'hit':
+            return { text: `HIT ~${k(prediction.readTokens)} cached · ${cost}`, color: '#4ade80' };
+        case 'partial':
+            return { text: `PARTIAL ~${k(prediction.readTokens)} cached, ~${k(prediction.writeTokens)} new · ${cost}`, color: '#fbbf24' };
+        case 'uncacheable':
+            return { text: `NOT CACHED (${prediction.reason}) · ${cost}`, color: '#fbbf24' };
+        default:
+            return { text: `MISS (${prediction.reason}) ~${k(prediction.writeTokens || prediction.totalTokens)} to ${prediction.writeTokens ? 'write' : 'send'} · ${cost}`, color: '#f87171' };
+    }
+}
+
+// Prediction for a next request that starts like the last one, and when its prefix goes cold
+let nextPrediction = null; // { prediction, coldAt }
+
+/**
+ * Predict the next request from the last completed one. Runs when a request
+ * completes, and once more when that request's cache expires.
+ */
+function refreshNextPrediction() {
+    const last = completedRequests.find(r => r.segments?.length > 0 && isChainRequest(r));
+    if (!last) {
+        nextPrediction = null;
+        return;
+    }
+
+    const now = Date.now();
+    const coldAt = last.lastUsedAt + getPoolTtlMs(last);
+    try {
+        nextPrediction = {
+            prediction: predictCacheOutcome(last.model, last.segments, extractBreakpoints(last.segments), now, last.prefixParts),
+            coldAt: coldAt > now ? coldAt : Infinity,
+        };
+    } catch (e) {
+        log('Could not predict the next request:', e);
+        nextPrediction = null;
+    }
+}
+
+/**
+ * Forget the next-request prediction when the last request no longer says
+ * anything about the next one (another chat was opened)
+ */
+function clearNextPrediction() {
+    nextPrediction = null;
+    updatePredictionLine();
+}
+
+/**
+ * Show the prediction for the request in flight, or for the next request if
+ * its prompt starts like the last one
+ */
+function updatePredictionLine() {
+    const el = document.getElementById('cache_next_prediction');
+    if (!el) return;
+
+    const inFlight = [...activeRequests.values()].reverse().find(ctx => ctx.prediction);
+    let label = 'Sending';
+    let prediction = inFlight?.prediction;
+    if (!prediction) {
+        // The next-request prediction only changes once the last prefix goes cold
+        if (nextPrediction && Date.now() >= nextPrediction.coldAt) refreshNextPrediction();
+        label = 'Next';
+        prediction = nextPrediction?.prediction || null;
+    }
+
+    if (!prediction) {
+        el.style.display = 'none';
+        return;
+    }
+    const { text, color } = formatPrediction(prediction);
+    el.style.display = '';
+    el.innerHTML = `${label}: <span style="color: ${color}">${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Describe a content block (text, image, tool_use, tool_result...) for
+ * block-level hashing. The hash leaves out cache_control, so a moved
+ * breakpoint is told apart from changed content.
+ */
+function describeContentBlock(block, index) {
+    if (typeof block === 'string') {
+        return { index, type: 'text', label: 'text', hash: hashString(block), hasCacheControl: false, text: block };
+    }
+
+    const { cache_control, ...content } = block || {};
+    const type = content.type || 'unknown';
+    const name = content.name || content.tool_use_id || '';
+    const kind = type === 'image_url' ? 'image' : type; // OpenAI-style image blocks
+    return {
+        index,
+        type,
+        label: name ? `${kind}: ${name}` : kind,
+        hash: hashString(JSON.stringify(content)),
+        hasCacheControl: !!cache_control,
+        text: [content.text, content.thinking, content.content].find(value => typeof value === 'string') ?? null,
+    };
+}
+
+/**
+ * Hash each message in the array. Messages with block content also get a hash
+ * per block, and their full content is the block texts one per line, with a
+ * placeholder (type and hash) for blocks without text such as images.
+ */
+function hashMessages(messages) {
+    if (!messages || !Array.isArray(messages)) return [];
+    return messages.map((msg, idx) => {
+        let fullContent;
+        let blocks = null;
+        if (Array.isArray(msg.content)) {
+            const parts = [];
+            let offset = 0;
+            blocks = msg.content.map((block, j) => {
+                const { text, ...info } = describeContentBlock(block, j);
+                const shown = text ?? `[${info.label} ${info.hash}]`;
+                parts.push(shown);
+                const range = { start: offset, length: shown.length }; // Where the block sits in fullContent
+                offset += shown.length + 1;
+                return { ...info, ...range };
+            });
+            fullContent = parts.join('\n');
+        } else {
+            fullContent = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content);
+        }
+
+        return {
+            index: idx,
+            role: msg.role,
+            contentPreview: fullContent.substring(0, 100),
+            fullContent: fullContent, // Store full content for diff
+            hash: hashString(JSON.stringify(msg)),
+            hasCacheControl: !!msg.cache_control || (Array.isArray(msg.content) && msg.content.some(b => b?.cache_control)),
+            blocks,
+        };
+    });
+}
+
+/**
+ * Find the first content block that differs between two versions of a
+ * message: changed, added or removed content, or - if every block's content is
+ * the same - cache_control markers on different blocks
+ */
+function findBlockDivergence(prevBlocks, currBlocks) {
+    const minLen = Math.min(prevBlocks.length, currBlocks.length);
+    for (let j = 0; j < minLen; j++) {
+        if (prevBlocks[j].hash !== currBlocks[j].hash) {
+            return { change: 'content', blockIndex: j, prev: prevBlocks[j], curr: currBlocks[j] };
+        }
+    }
+    if (currBlocks.length > minLen) {
+        return { change: 'added', blockIndex: minLen, curr: currBlocks[minLen] };
+    }
+    if (prevBlocks.length > minLen) {
+        return { change: 'removed', blockIndex: minLen, prev: prevBlocks[minLen] };
+    }
+
+    const prevMarks = prevBlocks.filter(b => b.hasCacheControl).map(b => b.index);
+    const currMarks = currBlocks.filter(b => b.hasCacheControl).map(b => b.index);
+    if (prevMarks.join() !== currMarks.join()) {
+        return { change: 'cache_control', prevMarks, currMarks };
+    }
+    return null;
+}
+
+/**
+ * Describe a block-level change, e.g. "block 2 (image) changed" or
+ * "cache_control moved from block 1 to block 3"
+ */
+function describeBlockChange(blockChange) {
+    const { change, blockIndex } = blockChange;
+    if (change === 'cache_control') {
+        const blocks = marks => `block${marks.length === 1 ? '' : 's'} ${marks.join(', ')}`;
+        if (blockChange.prevMarks.length === 0) return `cache_control added at ${blocks(blockChange.currMarks)}`;
+        if (blockChange.currMarks.length === 0) return `cache_control removed from ${blocks(blockChange.prevMarks)}`;
+        return `cache_control moved from ${blocks(blockChange.prevMarks)} to ${blocks(blockChange.currMarks)}`;
+    }
+    return `block ${blockIndex} (${(blockChange.curr || blockChange.prev).label}) ${change === 'content' ? 'changed' : change}`;
+}
+
+/**
+ * Find the first difference between two strings and return context around it
+ */
+function findStringDiff(str1, str2, contextChars = 200) {
+    if (!str1 || !str2) return { diffIndex: 0, context1: str1?.substring(0, 500) || '', context2: str2?.substring(0, 500) || '' };
+
+    // Find first differing character
+    let diffIndex = 0;
+    const minLen = Math.min(str1.length, str2.length);
+    while (diffIndex < minLen && str1[diffIndex] === str2[diffIndex]) {
+        diffIndex++;
+    }
+
+    // Get context around the diff point
+    const start = Math.max(0, diffIndex - contextChars);
+    const end1 = Math.min(str1.length, diffIndex + contextChars);
+    const end2 = Math.min(str2.length, diffIndex + contextChars);
+
+    const context1 = (start > 0 ? '...' : '') + str1.substring(start, end1) + (end1 < str1.length ? '...' : '');
+    const context2 = (start > 0 ? '...' : '') + str2.substring(start, end2) + (end2 < str2.length ? '...' : '');
+
+    // Mark the diff position in context
+    const markerPos = diffIndex - start + (start > 0 ? 3 : 0);
+
+    return {
+        diffIndex,
+        markerPos,
+        context1,
+        context2,
+        lengthDiff: str1.length !== str2.length ? `Length: ${str1.length} → ${str2.length}` : null,
+    };
+}
+
+// Most edits a diff may contain before falling back to a coarser granularity
+const DIFF_MAX_EDITS = 2000;
+// Unchanged runs longer than this are collapsed, keeping some context at each end
+const DIFF_COLLAPSE_CHARS = 400;
+const DIFF_CONTEXT_CHARS = 120;
+
+/**
+ * Split text into diff tokens: words, whitespace runs and punctuation, or whole lines
+ */
+function tokenizeForDiff(text, granularity) {
+    if (!text) return [];
+    if (granularity === 'line') return text.match(/[^\n]*\n|[^\n]+/g) || [];
+    return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * Diff two token arrays with Myers' algorithm, which finds the longest common
+ * subsequence in O((N+M)·D) time for D edits.
+ * Returns merged ops ({ type: 'equal' | 'delete' | 'insert', text }), or null
+ * if there are more than DIFF_MAX_EDITS edits.
+ */
+function diffTokens(a, b, coarse = false) {
+    // Common prefix and suffix don't need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    const push = (type, text) => {
+        if (!text) return;
+        const last = ops[ops.length - 1];
+        if (last?.type === type) last.text += text;
+        else ops.push({ type, text });
+    };
+
+    push('equal', a.slice(0, start).join(''));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if (coarse) {
+        push('delete', midA.join(''));
+        push('insert', midB.join(''));
+    } else {
+        // v[k + offset] = furthest x reached on diagonal k (y = x - k)
+        const offset = Math.min(n + m, DIFF_MAX_EDITS) + 1;
+        const v = new Int32Array(2 * offset + 1);
+        const trace = [];
+        let found = false;
+
+        for (let d = 0; d <= n + m && d <= DIFF_MAX_EDITS && !found; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && midA[x] === midB[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+        if (!found) return null;
+
+        // Walk the trace backwards to recover the edit script
+        const steps = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const snapshot = trace[d];
+            const at = (k) => snapshot[k + d + 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const prevX = d > 0 ? at(prevK) : 0;
+            const prevY = d > 0 ? prevX - prevK : 0;
+            while (x > prevX && y > prevY) {
+                steps.push(['equal', midA[--x]]);
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) steps.push(['insert', midB[--y]]);
+                else steps.push(['delete', midA[--x]]);
+            }
+        }
+        for (let i = steps.length - 1; i >= 0; i--) push(steps[i][0], steps[i][1]);
+    }
+
+    push('equal', a.slice(endA).join(''));
+    return ops;
+}
 
+/**
+ * Diff two texts, falling back from words to lines to a single changed
+ * block when the changed section is too large
+ */
+function computeTextDiff(prevText, currText, granularity = 'word') {
+    const levels = granularity === 'word' ? ['word', 'line'] : ['line'];
+    for (const level of levels) {
+        const ops = diffTokens(tokenizeForDiff(prevText, level), tokenizeForDiff(currText, level));
+        if (ops) return { ops, granularity: level, approximate: false };
+    }
     return {
-        diffIndex,
-        markerPos,
-        context1,
-        context2,
-        lengthDiff: str1.length !== str2.length ? `Length: ${str1.length} → ${str2.length}` : null,
+        ops: diffTokens(tokenizeForDiff(prevText, 'line'), tokenizeForDiff(currText, 'line'), true),
+        granularity: 'line',
+        approximate: true,
     };
 }
 
+/**
+ * Render diff ops into previous/current pane HTML.
+ * Each change gets a data-change anchor in both panes for navigation, and
+ * long unchanged runs get a data-region that expands in both panes at once.
+ */
+function renderDiffPanes(ops) {
+    let prevHtml = '';
+    let currHtml = '';
+    let changeCount = 0;
+    let regionCount = 0;
+    let inChange = false;
+
+    for (const op of ops) {
+        if (op.type === 'equal') {
+            inChange = false;
+            let html;
+            if (op.text.length > DIFF_COLLAPSE_CHARS) {
+                const region = regionCount++;
+                const hidden = op.text.slice(DIFF_CONTEXT_CHARS, -DIFF_CONTEXT_CHARS);
+                html = `${escapeHtml(op.text.slice(0, DIFF_CONTEXT_CHARS))}<span class="diff_collapsed" data-region="${region}"><button class="diff_expand" data-region="${region}">⋯ ${hidden.length.toLocaleString()} unchanged characters ⋯</button><span class="diff_hidden">${escapeHtml(hidden)}</span></span>${escapeHtml(op.text.slice(-DIFF_CONTEXT_CHARS))}`;
+            } else {
+                html = escapeHtml(op.text);
+            }
+            prevHtml += html;
+            currHtml += html;
+            continue;
+        }
+
+        if (!inChange) {
+            const anchor = `<span class="diff_anchor" data-change="${changeCount++}"></span>`;
+            prevHtml += anchor;
+            currHtml += anchor;
+            inChange = true;
+        }
+        if (op.type === 'delete') prevHtml += `<del class="diff_del">${escapeHtml(op.text)}</del>`;
+        else currHtml += `<ins class="diff_ins">${escapeHtml(op.text)}</ins>`;
+    }
+
+    return { prevHtml, currHtml, changeCount };
+}
+
+/**
+ * Serialize a request's messages into one text for full-prompt diffs
+ */
+function serializePrompt(messageHashes) {
+    return messageHashes
+        .map((h, i) => `### [${i}] ${h.role}${h.hasCacheControl ? ' ⚡' : ''}\n${h.fullContent}`)
+        .join('\n\n');
+}
+
 /**
  * Find where messages diverge between two requests
  */
@@ -224,19 +1890,51 @@ function findDivergencePoint(prevHashes, currHashes) {
     if (!prevHashes || !currHashes) return { divergeIndex: 0, reason: 'No previous data' };
 
     const minLen = Math.min(prevHashes.length, currHashes.length);
+    // Depth-based breakpoints move every turn while Claude still reads the
+    // earlier prefix, so a marker-only change is reported only if no content changed
+    let markerMove = null;
 
     for (let i = 0; i < minLen; i++) {
-        if (prevHashes[i].hash !== currHashes[i].hash) {
-            // Find exactly where in the content the difference is
-            const diff = findStringDiff(prevHashes[i].fullContent, currHashes[i].fullContent);
-            return {
+        const prev = prevHashes[i];
+        const curr = currHashes[i];
+        if (prev.hash !== curr.hash) {
+            const where = `Message ${i} (${curr.role})`;
+            const blockChange = prev.blocks && curr.blocks ? findBlockDivergence(prev.blocks, curr.blocks) : null;
+            let change = blockChange?.change ?? null;
+            let diff;
+            let reason;
+
+            if (blockChange) {
+                // Report the block, with a character offset only inside text
+                if (blockChange.change === 'content') {
+                    const { prev: a, curr: b } = blockChange;
+                    diff = findStringDiff(prev.fullContent.substr(a.start, a.length), curr.fullContent.substr(b.start, b.length));
+                    reason = `${where}, ${describeBlockChange(blockChange)}${a.type === 'text' && b.type === 'text' ? ` at char ${diff.diffIndex}` : ''}`;
+                } else {
+                    reason = `${where}, ${describeBlockChange(blockChange)}`;
+                }
+            } else if (prev.fullContent === curr.fullContent && prev.hasCacheControl !== curr.hasCacheControl) {
+                change = 'cache_control';
+                reason = `${where}, cache_control ${curr.hasCacheControl ? 'added' : 'removed'}`;
+            } else {
+                // Find exactly where in the content the difference is
+                diff = findStringDiff(prev.fullContent, curr.fullContent);
+                reason = `${where} changed at char ${diff.diffIndex}`;
+            }
+
+            const divergence = {
                 divergeIndex: i,
-                reason: `Message ${i} (${currHashes[i].role}) changed at char ${diff.diffIndex}`,
-                prevContent: prevHashes[i].fullContent,
-                currContent: currHashes[i].fullContent,
-                diff: diff,
-                role: currHashes[i].role,
+                reason,
+                prevContent: prev.fullContent,
+                currContent: curr.fullContent,
+                diff: diff || null,
+                role: curr.role,
+                blockIndex: blockChange?.blockIndex ?? null,
+                blockType: (blockChange?.curr || blockChange?.prev)?.type ?? null,
+                blockChange: change,
             };
+            if (change !== 'cache_control') return divergence;
+            markerMove = markerMove || divergence;
         }
     }
 
@@ -247,7 +1945,7 @@ function findDivergencePoint(prevHashes, currHashes) {
         };
     }
 
-    return { divergeIndex: -1, reason: 'No divergence detected' };
+    return markerMove || { divergeIndex: -1, reason: 'No divergence detected' };
 }
 
 /**
@@ -357,6 +2055,277 @@ function detectLoreOrderingIssues(prevEntries, currEntries) {
     return null;
 }
 
+/**
+ * World Info position labels, as shown in SillyTavern's lorebook editor
+ */
+const worldInfoPositions = ['↑Char', '↓Char', '↑AN', '↓AN', '@D', '↑EM', '↓EM', 'Outlet'];
+
+/**
+ * Entries shorter than this are not matched against the prompt - short
+ * contents turn up in unrelated text too easily
+ */
+const MIN_LORE_MATCH_CHARS = 20;
+
+/**
+ * Get the text of a request message, joining its text blocks
+ */
+function getMessageText(message) {
+    if (typeof message?.content === 'string') return message.content;
+    if (Array.isArray(message?.content)) return message.content.map(getBlockText).join('\n');
+    return '';
+}
+
+/**
+ * Format a World Info entry's position, including the depth for @D entries
+ */
+function formatLorePosition(entry) {
+    const label = worldInfoPositions[entry.position] ?? `#${entry.position}`;
+    return entry.position === 4 ? `${label} ${entry.depth}` : label;
+}
+
+// Sorted entries of the active World Info books, reloaded when the books or the chat change
+let worldInfoEntries = [];
+let worldInfoLoadId = 0;
+
+/**
+ * Reload the active World Info entries. Only the latest load is kept.
+ */
+async function refreshWorldInfoEntries() {
+    const loadId = ++worldInfoLoadId;
+    try {
+        const entries = await getSortedEntries();
+        if (loadId === worldInfoLoadId) worldInfoEntries = entries || [];
+    } catch (e) {
+        log('Could not load world info entries:', e);
+    }
+}
+
+/**
+ * Keep the World Info entries used for miss analysis current
+ */
+function trackWorldInfoEvents() {
+    for (const event of [event_types.WORLDINFO_UPDATED, event_types.WORLDINFO_SETTINGS_UPDATED, event_types.CHAT_CHANGED]) {
+        if (event) eventSource.on(event, refreshWorldInfoEntries);
+    }
+    refreshWorldInfoEntries();
+}
+
+/**
+ * Find which entries of the active World Info books (global, character, chat
+ * and persona) were injected into a request, by matching their contents - raw
+ * and with macros substituted - against the message text.
+ * Returns the matched entries in prompt order.
+ */
+function matchWorldInfoEntries(messages) {
+    if (!messages?.length) return [];
+
+    const texts = messages.map(getMessageText);
+    const matched = [];
+    for (const entry of worldInfoEntries) {
+        if (entry.disable || typeof entry.content !== 'string') continue;
+
+        const candidates = new Set([entry.content.trim()]);
+        try {
+            candidates.add(substituteParams(entry.content).trim());
+        } catch (e) {
+            // Macros that can't be substituted outside a generation - match the raw text only
+        }
+
+        let found = null;
+        for (const candidate of candidates) {
+            if (candidate.length < MIN_LORE_MATCH_CHARS) continue;
+            const messageIndex = texts.findIndex(text => text.includes(candidate));
+            if (messageIndex >= 0) {
+                found = { messageIndex, offset: texts[messageIndex].indexOf(candidate) };
+                break;
+            }
+        }
+        if (!found) continue;
+
+        matched.push({
+            key: `${entry.world}/${entry.uid}`,
+            uid: entry.uid,
+            world: entry.world || '',
+            name: entry.comment || entry.key?.[0] || `Entry ${entry.uid}`,
+            order: entry.order ?? 0,
+            depth: entry.depth ?? null,
+            position: entry.position ?? 0,
+            constant: !!entry.constant,
+            ...found,
+        });
+    }
+
+    return matched.sort((a, b) => a.messageIndex - b.messageIndex || a.offset - b.offset);
+}
+
+/**
+ * Find activated entries that share an Order value at the same position -
+ * SillyTavern can't sort those deterministically
+ */
+function findOrderCollisions(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = `${formatLorePosition(entry)}|${entry.order}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    }
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => ({ order: group[0].order, position: formatLorePosition(group[0]), entries: group }));
+}
+
+/**
+ * Describe an Order collision, e.g. "Castle", "Town" share order 100 at ↑Char
+ */
+function formatOrderCollision(collision) {
+    return `${collision.entries.map(e => `"${e.name}"`).join(', ')} share order ${collision.order} at ${collision.position}`;
+}
+
+/**
+ * Compare the World Info entries injected into two requests
+ */
+function compareWorldInfo(prevEntries, currEntries) {
+    const prevKeys = new Set(prevEntries.map(e => e.key));
+    const currKeys = new Set(currEntries.map(e => e.key));
+    const prevCommon = prevEntries.filter(e => currKeys.has(e.key)).map(e => e.key);
+    const currCommon = currEntries.filter(e => prevKeys.has(e.key)).map(e => e.key);
+
+    return {
+        activated: currEntries,
+        added: currEntries.filter(e => !prevKeys.has(e.key)),
+        removed: prevEntries.filter(e => !currKeys.has(e.key)),
+        // Entries in both requests whose order relative to each other changed
+        reordered: currEntries.filter(e => prevKeys.has(e.key) && prevCommon.indexOf(e.key) !== currCommon.indexOf(e.key)),
+        prevOrder: prevEntries.map(e => e.name),
+        currOrder: currEntries.map(e => e.name),
+        collisions: findOrderCollisions(currEntries),
+    };
+}
+
+/**
+ * Turn a World Info comparison into a lorebook issue, if an entry change
+ * sits at or before the point where the prompts diverge
+ */
+function getWorldInfoIssue(comparison, divergeIndex) {
+    const { added, removed, reordered, collisions } = comparison;
+    const changed = [...added, ...removed, ...reordered];
+    if (changed.length === 0 || Math.min(...changed.map(e => e.messageIndex)) > divergeIndex) {
+        return null;
+    }
+
+    const details = {
+        prevOrder: comparison.prevOrder,
+        currOrder: comparison.currOrder,
+        added: added.map(e => e.name),
+        removed: removed.map(e => e.name),
+    };
+
+    if (reordered.length > 0) {
+        const reorderedKeys = new Set(reordered.map(e => e.key));
+        const related = collisions.filter(c => c.entries.some(e => reorderedKeys.has(e.key)));
+        const named = related.length > 0 ? related : collisions;
+        return {
+            type: 'reordering',
+            source: 'world_info',
+            message: `World Info entries reordered: ${reordered.map(e => e.name).join(', ')}`,
+            recommendation: named.length > 0
+                ? `Set unique "Order" values: ${named.map(formatOrderCollision).join('; ')}.`
+                : 'Order values are already unique - check for entries whose position or depth changed between requests.',
+            action: named.length > 0
+                ? `Set unique Order values for ${named.map(c => c.entries.map(e => `"${e.name}"`).join(' / ')).join(', ')}`
+                : null,
+            details,
+        };
+    }
+
+    return {
+        type: 'different_entries',
+        source: 'world_info',
+        message: `Different World Info entries triggered${added.length > 0 ? ` (+ ${added.map(e => e.name).join(', ')})` : ''}${removed.length > 0 ? ` (− ${removed.map(e => e.name).join(', ')})` : ''}`,
+        recommendation: 'If entries change due to keywords, this is expected. For stable caching, set frequently-used entries to "Constant" mode.',
+        details,
+    };
+}
+
+/**
+ * Diagnosis colors by severity, for user-defined rules
+ */
+const DIAGNOSIS_SEVERITY_COLORS = { low: '#4ade80', medium: '#fbbf24', high: '#f87171' };
+
+// Rule icons are meant to be an emoji or two
+const MAX_RULE_ICON_LENGTH = 4;
+
+/**
+ * Message index condition of a diagnosis rule: "3", "0-2" or "5+"
+ */
+const INDEX_RANGE_PATTERN = /^\s*(\d+)\s*(?:-\s*(\d+)|(\+))?\s*$/;
+
+/**
+ * Reduce a rule icon to a few plain characters
+ */
+function sanitizeRuleIcon(icon) {
+    return [...String(icon || '').replace(/[<>&"'`]/g, '').trim()].slice(0, MAX_RULE_ICON_LENGTH).join('');
+}
+
+/**
+ * Check a message index against a rule's index condition
+ */
+function matchesIndexRange(range, index) {
+    const match = String(range).match(INDEX_RANGE_PATTERN);
+    if (!match) return false;
+    const min = Number(match[1]);
+    const max = match[3] ? Infinity : Number(match[2] ?? match[1]);
+    return index >= min && index <= max;
+}
+
+/**
+ * Get the changed lines of two versions of a message - everything between
+ * their common prefix and suffix, widened to whole lines
+ */
+function getChangedRegion(prev, curr) {
+    let start = 0;
+    while (start < prev.length && start < curr.length && prev[start] === curr[start]) start++;
+    let end = 0;
+    while (end < prev.length - start && end < curr.length - start
+        && prev[prev.length - 1 - end] === curr[curr.length - 1 - end]) end++;
+
+    const lines = (text) => {
+        const from = start > 0 ? text.lastIndexOf('\n', start - 1) + 1 : 0;
+        const to = text.indexOf('\n', text.length - end);
+        return text.slice(from, to < 0 ? text.length : to);
+    };
+    return { prev: lines(prev), curr: lines(curr) };
+}
+
+/**
+ * Find the first enabled user diagnosis rule that matches where two requests
+ * diverge. A rule matches when every condition it sets matches: its pattern
+ * (tested against the changed lines of either version), role and message index.
+ */
+function matchDiagnosisRule(divergence, currentHashes) {
+    const rules = extension_settings[extensionName]?.diagnosisRules;
+    if (!rules?.length || !divergence || divergence.divergeIndex < 0) return null;
+
+    const index = divergence.divergeIndex;
+    const role = divergence.role || currentHashes[index]?.role || null;
+    const region = getChangedRegion(divergence.prevContent ?? '', divergence.currContent ?? currentHashes[index]?.fullContent ?? '');
+
+    return rules.find(rule => {
+        if (!rule.enabled || !(rule.pattern || rule.role || rule.messageIndex)) return false;
+        if (rule.role && rule.role !== role) return false;
+        if (rule.messageIndex && !matchesIndexRange(rule.messageIndex, index)) return false;
+        if (rule.pattern) {
+            try {
+                const regex = new RegExp(rule.pattern, 'i');
+                if (!regex.test(region.prev) && !regex.test(region.curr)) return false;
+            } catch (e) {
+                return false;
+            }
+        }
+        return true;
+    }) || null;
+}
+
 /**
  * Analyze divergence location to determine likely cause
  */
@@ -433,6 +2402,23 @@ function analyzeDivergenceLocation(divergeIndex, totalMessages, prevContent, cur
 function generateSmartRecommendations(analysis) {
     const recommendations = [];
 
+    // Priority 0: Nothing in the request could be cached
+    if (analysis.cacheability?.type === 'no_markers') {
+        recommendations.push({
+            priority: 0,
+            type: 'no_markers',
+            message: 'Enable prompt caching: nothing was cached, and without cache_control markers Claude never caches the prompt.',
+            severity: 'high',
+        });
+    } else if (analysis.cacheability?.type === 'too_short') {
+        recommendations.push({
+            priority: 0,
+            type: 'too_short',
+            message: `The prefix before the last breakpoint is ~${analysis.cacheability.shortfall.toLocaleString()} tokens below the model's ${analysis.cacheability.minTokens.toLocaleString()}-token minimum, so it is neither read nor written.`,
+            severity: 'medium',
+        });
+    }
+
     // Priority 1: Specific diagnosed issues
     if (analysis.locationAnalysis?.recommendation) {
         recommendations.push({
@@ -448,7 +2434,7 @@ function generateSmartRecommendations(analysis) {
         recommendations.push({
             priority: 2,
             type: 'ttl_expired',
-            message: 'Cache expired due to 5-minute TTL. Send messages more frequently to maintain cache.',
+            message: `Cache expired due to ${formatTtl(analysis.ttlMs)} TTL. Send messages more frequently to maintain cache${analysis.ttlMs < CACHE_TTLS['1h'] ? ', or use a 1h TTL on stable content' : ''}.`,
             severity: 'medium',
         });
     }
@@ -470,35 +2456,91 @@ function generateSmartRecommendations(analysis) {
     return recommendations;
 }
 
+/**
+ * Diagnoses for changes outside the messages, keyed by comparePrefixParts type
+ */
+const prefixChangeDiagnoses = {
+    model: {
+        issue: 'Model Switched',
+        icon: '🔀',
+        color: '#fbbf24',
+        action: 'Stay on one model within a chat - each model has its own cache',
+    },
+    tools: {
+        issue: 'Tool Definitions Changed',
+        icon: '🛠️',
+        color: '#f87171',
+        action: 'Keep function-calling tools the same between requests - they come first in the cache prefix',
+    },
+    system: {
+        issue: 'System Prompt Changed',
+        icon: '⚙️',
+        color: '#f87171',
+        action: 'Check the character card, system prompt and time-based macros in the system field',
+    },
+    thinking: {
+        issue: 'Thinking Settings Changed',
+        icon: '🧠',
+        color: '#fbbf24',
+        action: 'Keep reasoning effort fixed during a chat - changing it drops the cached messages (tools and system stay cached)',
+    },
+    tool_choice: {
+        issue: 'Tool Choice Changed',
+        icon: '🛠️',
+        color: '#fbbf24',
+        action: 'Keep tool_choice fixed - changing it drops the cached messages (tools and system stay cached)',
+    },
+};
+
 /**
  * Analyze why cache missed
  */
-function analyzeCacheMiss(currentMessages, currentHashes) {
+function analyzeCacheMiss(currentMessages, currentHashes, previousRequest, sentAt = Date.now(), cacheability = null, loreEntries = null, prefixParts = null) {
     const analysis = {
+        comparedTo: previousRequest?.id ?? null,
         reasons: [],
         divergence: null,
         ttlWarning: false,
         timeSinceLastRequest: null,
+        ttlMs: CACHE_TTLS[DEFAULT_TTL],
+        expiredTiers: [],
         locationAnalysis: null,
         loreIssue: null,
+        worldInfo: null,
+        customRule: null,
+        prefixChanges: [],
+        cacheability,
         recommendations: [],
         primaryDiagnosis: null,
     };
 
-    // Check TTL (5 minutes = 300000ms)
-    if (previousRequest.timestamp) {
-        const timeSince = Date.now() - previousRequest.timestamp;
+    // Check TTL against the tiers the previous request actually used,
+    // counting from when its prefix was last written or read
+    if (previousRequest?.timestamp) {
+        const timeSince = Math.max(0, sentAt - (previousRequest.lastUsedAt || previousRequest.timestamp));
+        const tiers = previousRequest.cacheTtls.length > 0 ? previousRequest.cacheTtls : [previousRequest.defaultTtl || DEFAULT_TTL];
+        const ttlMs = Math.max(...tiers.map(getTtlMs));
         analysis.timeSinceLastRequest = timeSince;
-        if (timeSince > 300000) {
-            analysis.reasons.push(`TTL expired (${Math.round(timeSince / 1000)}s since last request, max 300s)`);
+        analysis.ttlMs = ttlMs;
+        analysis.expiredTiers = tiers.filter(t => timeSince > getTtlMs(t));
+
+        if (timeSince > ttlMs) {
+            analysis.reasons.push(`TTL expired (${Math.round(timeSince / 1000)}s since last request, max ${ttlMs / 1000}s)`);
             analysis.ttlWarning = true;
+        } else if (analysis.expiredTiers.length > 0) {
+            analysis.reasons.push(`${analysis.expiredTiers.join(', ')} cache tier expired (${Math.round(timeSince / 1000)}s since last request)`);
         }
     } else {
         analysis.reasons.push('First request - no previous cache');
     }
 
+    // Compare the World Info entries both requests actually contained
+    if (loreEntries && previousRequest?.loreEntries) {
+        analysis.worldInfo = compareWorldInfo(previousRequest.loreEntries, loreEntries);
+    }
+
     // Check for divergence
-    if (previousRequest.messageHashes) {
+    if (previousRequest?.messageHashes) {
         const divergence = findDivergencePoint(previousRequest.messageHashes, currentHashes);
         analysis.divergence = divergence;
 
@@ -515,8 +2557,12 @@ function analyzeCacheMiss(currentMessages, currentHashes) {
             analysis.prevPatterns = prevPatterns;
             analysis.currPatterns = currPatterns;
 
-            // Check for lorebook ordering issues specifically
-            if (prevPatterns.hasLoreEntries || currPatterns.hasLoreEntries) {
+            // Check for lorebook ordering issues specifically - from the real
+            // World Info entries when available, otherwise from content markers
+            if (analysis.worldInfo) {
+                analysis.loreIssue = getWorldInfoIssue(analysis.worldInfo, divergence.divergeIndex);
+            }
+            if (!analysis.loreIssue && (prevPatterns.hasLoreEntries || currPatterns.hasLoreEntries)) {
                 analysis.loreIssue = detectLoreOrderingIssues(
                     prevPatterns.loreEntryNames,
                     currPatterns.loreEntryNames
@@ -534,20 +2580,28 @@ function analyzeCacheMiss(currentMessages, currentHashes) {
             );
 
             // Set primary diagnosis based on analysis
-            if (analysis.loreIssue?.type === 'reordering') {
+            if (divergence.blockChange === 'cache_control') {
+                analysis.primaryDiagnosis = {
+                    issue: 'Cache Breakpoint Moved',
+                    icon: '⚡',
+                    color: '#fbbf24',
+                    shortMessage: divergence.reason,
+                    action: 'Only the breakpoints moved. Claude looks back about 20 blocks from a breakpoint for an earlier cached prefix, so add a breakpoint nearer the start of the prompt (e.g. enableSystemPromptCache) for moved ones to fall back on',
+                };
+            } else if (analysis.loreIssue?.type === 'reordering') {
                 analysis.primaryDiagnosis = {
                     issue: 'Lorebook Ordering Issue',
                     icon: '📚',
                     color: '#f87171',
-                    shortMessage: 'Lorebook entries are reordering between requests',
-                    action: 'Set unique Order values for each lorebook entry',
+                    shortMessage: analysis.loreIssue.source === 'world_info' ? analysis.loreIssue.message : 'Lorebook entries are reordering between requests',
+                    action: analysis.loreIssue.action || 'Set unique Order values for each lorebook entry',
                 };
             } else if (analysis.loreIssue?.type === 'different_entries') {
                 analysis.primaryDiagnosis = {
                     issue: 'Different Lorebook Entries',
                     icon: '📖',
                     color: '#fbbf24',
-                    shortMessage: 'Different lorebook entries triggered by keywords',
+                    shortMessage: analysis.loreIssue.source === 'world_info' ? analysis.loreIssue.message : 'Different lorebook entries triggered by keywords',
                     action: 'Set frequently-used entries to Constant mode',
                 };
             } else if (analysis.locationAnalysis?.likelyCause === 'depth_configuration') {
@@ -583,6 +2637,28 @@ function analyzeCacheMiss(currentMessages, currentHashes) {
                     action: 'Check character card, system prompt, and author\'s notes',
                 };
             }
+
+            // User rules take precedence over the built-in diagnoses above
+            const rule = matchDiagnosisRule(divergence, currentHashes);
+            if (rule) {
+                const severity = DIAGNOSIS_SEVERITY_COLORS[rule.severity] ? rule.severity : 'medium';
+                analysis.customRule = rule.name;
+                analysis.loreIssue = null;
+                analysis.reasons.push(`Matched rule "${rule.name}"`);
+                analysis.locationAnalysis = {
+                    ...analysis.locationAnalysis,
+                    likelyCause: rule.name,
+                    recommendation: rule.action || null,
+                    severity,
+                };
+                analysis.primaryDiagnosis = {
+                    issue: rule.name,
+                    icon: rule.icon || '🔖',
+                    color: DIAGNOSIS_SEVERITY_COLORS[severity],
+                    shortMessage: `Custom rule matched message ${divergence.divergeIndex}${divergence.role ? ` (${divergence.role})` : ''}`,
+                    action: rule.action || null,
+                };
+            }
         }
     }
 
@@ -591,12 +2667,42 @@ function analyzeCacheMiss(currentMessages, currentHashes) {
         const firstMsg = currentMessages[0];
         if (firstMsg.role === 'system') {
             const currSysHash = hashString(JSON.stringify(firstMsg));
-            if (previousRequest.systemPromptHash && previousRequest.systemPromptHash !== currSysHash) {
+            if (previousRequest?.systemPromptHash && previousRequest.systemPromptHash !== currSysHash) {
                 analysis.reasons.push('System prompt changed');
             }
         }
     }
 
+    // The model, tools, system field and cache parameters come before every
+    // message, so a change there explains the miss whatever the messages did
+    analysis.prefixChanges = comparePrefixParts(previousRequest?.prefixParts, prefixParts);
+    if (analysis.prefixChanges.length > 0) {
+        const change = analysis.prefixChanges[0];
+        analysis.reasons.push(...analysis.prefixChanges.map(c => c.message));
+        analysis.primaryDiagnosis = { ...prefixChangeDiagnoses[change.type], shortMessage: change.message };
+    }
+
+    // Nothing could have been cached - that outranks any prompt change
+    if (cacheability?.type === 'no_markers') {
+        analysis.reasons.unshift('Nothing read or written, and no cache_control markers in the request body');
+        analysis.primaryDiagnosis = {
+            issue: 'No Cache Markers',
+            icon: '🚫',
+            color: '#f87171',
+            shortMessage: `Nothing was read from or written to cache, and the request body had no cache_control markers - SillyTavern only adds them when caching is enabled (~${cacheability.promptTokens.toLocaleString()} tokens uncached)`,
+            action: 'Enable prompt caching (e.g. claude.cachingAtDepth / enableSystemPromptCache in config.yaml) or add cache_control to your preset',
+        };
+    } else if (cacheability?.type === 'too_short') {
+        analysis.reasons.unshift(`Cacheable prefix too short (~${cacheability.prefixTokens.toLocaleString()} of ${cacheability.minTokens.toLocaleString()} tokens needed)`);
+        analysis.primaryDiagnosis = {
+            issue: 'Prefix Too Short to Cache',
+            icon: '📏',
+            color: '#fbbf24',
+            shortMessage: `Cached prefix is ~${cacheability.prefixTokens.toLocaleString()} tokens; this model needs at least ${cacheability.minTokens.toLocaleString()} (~${cacheability.shortfall.toLocaleString()} short)`,
+            action: 'Move the cache breakpoint later in the prompt, or accept that short prompts are not cached',
+        };
+    }
+
     // Generate smart recommendations
     analysis.recommendations = generateSmartRecommendations(analysis);
 
@@ -641,52 +2747,234 @@ async function fetchOpenRouterGenerationStats(generationId) {
 }
 
 /**
- * Parse usage data from SSE event
- * Handles both OpenRouter (OpenAI format) and direct Claude format
- * Returns { usage, model } or null
+ * Extract the per-TTL cache write breakdown from a usage object, if present
  */
-function parseUsageFromEvent(eventData) {
-    try {
-        const data = JSON.parse(eventData);
+function parseCacheCreation(usage) {
+    const breakdown = usage?.cache_creation;
+    if (!breakdown || typeof breakdown !== 'object') return null;
+    return {
+        ephemeral_5m_input_tokens: breakdown.ephemeral_5m_input_tokens || 0,
+        ephemeral_1h_input_tokens: breakdown.ephemeral_1h_input_tokens || 0,
+    };
+}
+
+/**
+ * Provider adapters for prompt caching.
+ *
+ * Each adapter recognizes one provider's usage payload and normalizes it to the
+ * usage shape used everywhere else:
+ *   { model, provider, input_tokens, output_tokens, cache_read_input_tokens,
+ *     cache_creation_input_tokens, cache_creation }
+ * input_tokens is always the total prompt size (cached + uncached).
+ *
+ * Adapters also describe the provider's caching semantics:
+ * - explicitCaching: caching is opt-in via cache_control and writes are billed,
+ *   so a miss shows up as a write. With automatic prefix caching a miss is
+ *   simply a request with no cached tokens.
+ * - defaultTtl: TTL tier used for the countdown when the request declares none.
+ *
+ * Payload parsers are tried in order (most specific first). The provider used for
+ * pricing and TTL is picked by model name, so e.g. Claude through OpenRouter's
+ * OpenAI-format usage still counts as Claude.
+ */
+const providerAdapters = [
+    {
+        id: 'claude',
+        name: 'Claude',
+        explicitCaching: true,
+        defaultTtl: '5m',
+        matchesModel: (model) => /claude|anthropic/i.test(model),
+        parseUsage(data) {
+            // Direct Claude API - message_start (input/cache tokens, placeholder output),
+            // message_delta (final output count) and non-streaming message responses
+            let usage = null;
+            let model = 'claude';
+            if (data.type === 'message_start' && data.message?.usage) {
+                usage = data.message.usage;
+                model = data.message.model || model;
+            } else if ((data.type === 'message_delta' || data.type === 'message') && data.usage) {
+                usage = data.usage;
+                model = data.model || model;
+            }
+            if (!usage) return null;
 
-        // OpenRouter/OpenAI format - usage in root or in choices
-        if (data.usage) {
-            log('Found usage in OpenAI format:', data.usage, 'model:', data.model);
+            log(`Found usage in Claude ${data.type}:`, usage);
+            const cacheRead = usage.cache_read_input_tokens || 0;
+            const cacheWrite = usage.cache_creation_input_tokens || 0;
             return {
-                model: data.model || '',
-                input_tokens: data.usage.prompt_tokens || data.usage.input_tokens || 0,
-                output_tokens: data.usage.completion_tokens || data.usage.output_tokens || 0,
-                // OpenRouter passes through Claude's cache tokens
-                cache_read_input_tokens: data.usage.cache_read_input_tokens ||
-                                         data.usage.prompt_tokens_details?.cached_tokens || 0,
-                cache_creation_input_tokens: data.usage.cache_creation_input_tokens || 0,
+                model,
+                // Claude reports uncached input separately from cache reads/writes
+                input_tokens: (usage.input_tokens || 0) + cacheRead + cacheWrite,
+                output_tokens: usage.output_tokens || 0,
+                cache_read_input_tokens: cacheRead,
+                cache_creation_input_tokens: cacheWrite,
+                cache_creation: parseCacheCreation(usage),
             };
-        }
-
-        // Direct Claude API - message_delta with usage
-        if (data.type === 'message_delta' && data.usage) {
-            log('Found usage in Claude message_delta:', data.usage);
+        },
+    },
+    {
+        id: 'gemini',
+        name: 'Gemini',
+        explicitCaching: false,
+        defaultTtl: '5m',
+        matchesModel: (model) => /gemini|gemma/i.test(model),
+        parseUsage(data) {
+            const meta = data.usageMetadata;
+            if (!meta) return null;
+
+            log('Found usage in Gemini usageMetadata:', meta);
             return {
-                model: 'claude', // Direct Claude API
-                input_tokens: data.usage.input_tokens || 0,
-                output_tokens: data.usage.output_tokens || 0,
-                cache_read_input_tokens: data.usage.cache_read_input_tokens || 0,
-                cache_creation_input_tokens: data.usage.cache_creation_input_tokens || 0,
+                model: data.modelVersion || data.model || 'gemini',
+                input_tokens: meta.promptTokenCount || 0,
+                output_tokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0),
+                cache_read_input_tokens: meta.cachedContentTokenCount || 0,
+                cache_creation_input_tokens: 0,
+                cache_creation: null,
             };
-        }
-
-        // Direct Claude API - message_start contains initial usage
-        if (data.type === 'message_start' && data.message?.usage) {
-            log('Found usage in Claude message_start:', data.message.usage);
+        },
+    },
+    {
+        id: 'deepseek',
+        name: 'DeepSeek',
+        explicitCaching: false,
+        defaultTtl: '1h', // Disk cache is kept for hours
+        matchesModel: (model) => /deepseek/i.test(model),
+        parseUsage(data) {
+            const usage = data.usage;
+            if (!usage || (usage.prompt_cache_hit_tokens === undefined && usage.prompt_cache_miss_tokens === undefined)) return null;
+
+            log('Found usage in DeepSeek format:', usage);
+            const hit = usage.prompt_cache_hit_tokens || 0;
+            const miss = usage.prompt_cache_miss_tokens || 0;
             return {
-                model: data.message?.model || 'claude', // Direct Claude API
-                input_tokens: data.message.usage.input_tokens || 0,
-                output_tokens: data.message.usage.output_tokens || 0,
-                cache_read_input_tokens: data.message.usage.cache_read_input_tokens || 0,
-                cache_creation_input_tokens: data.message.usage.cache_creation_input_tokens || 0,
+                model: data.model || 'deepseek',
+                input_tokens: usage.prompt_tokens || hit + miss,
+                output_tokens: usage.completion_tokens || 0,
+                cache_read_input_tokens: hit,
+                cache_creation_input_tokens: 0,
+                cache_creation: null,
             };
+        },
+    },
+    {
+        id: 'openai',
+        name: 'OpenAI',
+        explicitCaching: false,
+        defaultTtl: '5m',
+        matchesModel: (model) => /gpt|chatgpt|openai|(^|\/)o\d/i.test(model),
+        parseUsage(data) {
+            // OpenAI format (also OpenRouter) - usage in root, usually in the final chunk
+            const usage = data.usage;
+            if (!usage) return null;
+
+            log('Found usage in OpenAI format:', usage, 'model:', data.model);
+            return {
+                model: data.model || '',
+                input_tokens: usage.prompt_tokens || usage.input_tokens || 0,
+                output_tokens: usage.completion_tokens || usage.output_tokens || 0,
+                // OpenRouter passes through Claude's cache tokens
+                cache_read_input_tokens: usage.cache_read_input_tokens ||
+                                         usage.prompt_tokens_details?.cached_tokens || 0,
+                cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+                cache_creation: parseCacheCreation(usage),
+            };
+        },
+    },
+];
+
+/**
+ * Minimum prefix size (tokens) each model will cache. Shorter prefixes are
+ * neither read from nor written to the cache. First matching pattern wins.
+ */
+const cacheMinimums = [
+    { pattern: 'claude.*opus-4[.-]5|claude.*haiku-4[.-]5', minTokens: 4096 },
+    { pattern: 'claude.*haiku', minTokens: 2048 },
+    { pattern: 'claude', minTokens: 1024 },
+    { pattern: 'gemini.*pro', minTokens: 4096 },
+    { pattern: 'gemini', minTokens: 1024 },
+    { pattern: 'deepseek', minTokens: 64 },
+    { pattern: '(^|/)(gpt|chatgpt|o\\d)', minTokens: 1024 },
+];
+
+/**
+ * Get the minimum cacheable prefix size for a model, or null if unknown
+ */
+function getCacheMinimum(model) {
+    const match = cacheMinimums.find(rule => new RegExp(rule.pattern, 'i').test(model || ''));
+    return match ? match.minTokens : null;
+}
+
+/**
+ * Check whether a request could be cached at all: every provider needs a long
+ * enough prefix, and explicit-caching providers need cache_control markers.
+ * SillyTavern's backend adds its own markers (claude.cachingAtDepth,
+ * enableSystemPromptCache) after the request leaves the browser, so a body
+ * without them only counts as unmarked once the usage shows nothing was read
+ * or written (nothingCached).
+ * Returns { type: 'no_markers' | 'too_short', ... } or null.
+ */
+function checkCacheability(model, provider, segments, breakpoints, nothingCached = false) {
+    if (!segments?.length) return null;
+
+    const promptTokens = segments[segments.length - 1].prefixTokens;
+    const bodyMarkers = breakpoints.length > 0;
+    const minTokens = getCacheMinimum(model);
+
+    // Explicit caching stores the prefix up to each breakpoint; automatic caching
+    // (and server-placed markers) at most the whole prompt
+    const prefixTokens = provider?.explicitCaching && bodyMarkers
+        ? Math.max(...breakpoints.map(bp => bp.prefixTokens))
+        : promptTokens;
+    if (minTokens && prefixTokens < minTokens) {
+        return { type: 'too_short', prefixTokens, minTokens, shortfall: minTokens - prefixTokens };
+    }
+
+    if (provider?.explicitCaching && !bodyMarkers && nothingCached) {
+        return { type: 'no_markers', promptTokens };
+    }
+    return null;
+}
+
+/**
+ * Get the provider adapter for a model name, or null if unknown
+ */
+function getProviderForModel(model) {
+    return providerAdapters.find(adapter => adapter.matchesModel(model || '')) || null;
+}
+
+/**
+ * Get a provider adapter by ID (defaults to Claude)
+ */
+function getProvider(id) {
+    return providerAdapters.find(adapter => adapter.id === id) || providerAdapters[0];
+}
+
+/**
+ * Normalize usage from a parsed response payload using the provider adapters.
+ * Returns normalized usage or null.
+ */
+function parseUsageFromData(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    for (const adapter of providerAdapters) {
+        const usage = adapter.parseUsage(data);
+        if (usage) {
+            // The generic OpenAI format is shared by many backends - only trust it for known models
+            usage.provider = getProviderForModel(usage.model)?.id || (adapter.id !== 'openai' ? adapter.id : null);
+            return usage;
         }
+    }
+    return null;
+}
 
+/**
+ * Parse usage data from an SSE event's data field.
+ * A single event may only carry part of the usage - merge them with a usage
+ * accumulator.
+ */
+function parseUsageFromEvent(eventData) {
+    try {
+        return parseUsageFromData(JSON.parse(eventData));
     } catch (e) {
         // Not JSON or parse error - that's normal for non-data events
     }
@@ -694,30 +2982,173 @@ function parseUsageFromEvent(eventData) {
 }
 
 /**
- * Process captured usage data
+ * Classify an error thrown while fetching or reading a response
+ */
+function classifyError(error) {
+    if (error?.name === 'AbortError') {
+        return { status: 'ABORTED', errorType: 'user_abort', errorMessage: 'Generation stopped' };
+    }
+    return {
+        status: 'ERROR',
+        errorType: error?.name || 'network_error',
+        errorMessage: error?.message || String(error),
+    };
+}
+
+/**
+ * Extract an API error from a response payload (error bodies or in-stream error events)
+ * Returns { status, errorType, errorMessage } or null
+ */
+function parseErrorFromData(data) {
+    if (!data || typeof data !== 'object' || !data.error) return null;
+
+    // Claude: { type: 'error', error: { type: 'overloaded_error', message } }
+    // OpenAI/OpenRouter: { error: { code, message } }
+    const error = data.error;
+    return {
+        status: 'ERROR',
+        errorType: typeof error === 'object' ? String(error.type || error.code || 'api_error') : 'api_error',
+        errorMessage: typeof error === 'object' ? error.message || JSON.stringify(error) : String(error),
+    };
+}
+
+/**
+ * Create an accumulator that merges usage from every usage-bearing event of one
+ * response and commits it exactly once.
+ *
+ * Claude streams report input/cache tokens in message_start (with a placeholder
+ * output count) and the final output count in message_delta; OpenAI-style streams
+ * send one final chunk with usage. Counts are cumulative, so the max wins.
+ * Committed usage is attributed to the given request context; pass a failure
+ * to commit() to record the response as errored or aborted.
+ */
+function createUsageAccumulator(ctx) {
+    let merged = null;
+    let committed = false;
+
+    return {
+        add(usage) {
+            if (!usage || committed) return;
+            if (!merged) {
+                merged = { ...usage };
+                return;
+            }
+            // Prefer the specific model name over the generic 'claude' placeholder
+            if (usage.model && (!merged.model || merged.model === 'claude')) {
+                merged.model = usage.model;
+                merged.provider = usage.provider;
+            }
+            merged.input_tokens = Math.max(merged.input_tokens || 0, usage.input_tokens || 0);
+            merged.output_tokens = Math.max(merged.output_tokens || 0, usage.output_tokens || 0);
+            merged.cache_read_input_tokens = Math.max(merged.cache_read_input_tokens || 0, usage.cache_read_input_tokens || 0);
+            merged.cache_creation_input_tokens = Math.max(merged.cache_creation_input_tokens || 0, usage.cache_creation_input_tokens || 0);
+            if (usage.cache_creation && (!merged.cache_creation ||
+                usage.cache_creation.ephemeral_5m_input_tokens + usage.cache_creation.ephemeral_1h_input_tokens >=
+                merged.cache_creation.ephemeral_5m_input_tokens + merged.cache_creation.ephemeral_1h_input_tokens)) {
+                merged.cache_creation = usage.cache_creation;
+            }
+        },
+        hasUsage() {
+            return !!merged && ((merged.input_tokens || 0) > 0 ||
+                (merged.cache_read_input_tokens || 0) > 0 ||
+                (merged.cache_creation_input_tokens || 0) > 0);
+        },
+        commit(failure = null) {
+            if (committed) return;
+            committed = true;
+            // Failed requests with partial usage still cost money - record them with their usage
+            if (!(this.hasUsage() && processUsageData(merged, ctx, failure)) && failure) {
+                recordRequestFailure(ctx, failure);
+            }
+        },
+    };
+}
+
+/**
+ * Create an incremental SSE parser.
+ * Handles CRLF/CR line endings, event: lines, multi-line data: fields and
+ * events split across chunks. Calls onEvent({ event, data }) per dispatched event.
+ */
+function createSseParser(onEvent) {
+    let buffer = '';
+    let eventType = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onEvent({ event: eventType || 'message', data: dataLines.join('\n') });
+        }
+        eventType = '';
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) return; // Comment
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'event') eventType = value;
+        else if (field === 'data') dataLines.push(value);
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            // Hold a trailing CR - it may be the first half of a CRLF
+            const holdCr = buffer.endsWith('\r');
+            const lines = (holdCr ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+            buffer = (lines.pop() || '') + (holdCr ? '\r' : '');
+            lines.forEach(processLine);
+        },
+        flush() {
+            if (buffer) processLine(buffer.replace(/\r$/, ''));
+            buffer = '';
+            dispatch();
+        },
+    };
+}
+
+/**
+ * Process captured usage data for a request context.
+ * Pass a failure ({ status, errorType, errorMessage }) for errored or aborted
+ * requests that still reported partial usage.
+ * Returns true if the usage was recorded.
  */
-function processUsageData(usage) {
-    if (!usage) return;
+function processUsageData(usage, ctx, failure = null) {
+    if (!usage) return false;
 
-    // Check if this is a Claude model by looking at the model field in the response
+    // Only track providers we have an adapter for
     const model = usage.model || '';
-    const isClaude = /claude/i.test(model);
+    const provider = getProviderForModel(model) || (usage.provider ? getProvider(usage.provider) : null);
 
-    if (!isClaude) {
-        log('Not a Claude model, skipping. Model:', model);
-        return;
+    if (!provider) {
+        log('No provider adapter for model, skipping. Model:', model);
+        return false;
     }
 
-    log('Claude model detected:', model);
+    usage.provider = provider.id;
+    log(`${provider.name} model detected:`, model);
 
     const hadCacheRead = (usage.cache_read_input_tokens || 0) > 0;
     const hadCacheWrite = (usage.cache_creation_input_tokens || 0) > 0;
+    // With automatic prefix caching there are no billed writes - no cached tokens is a miss
+    const hadCacheMiss = !hadCacheRead && (hadCacheWrite || !provider.explicitCaching);
 
-    // Mark that we've detected Claude usage
-    detectedClaudeUsage = true;
+    // Mark that we've detected cache-capable usage
+    detectedUsage = true;
 
-    currentRequest.usage = usage;
+    ctx.usage = usage;
     sessionStats.totalRequests++;
+    sessionStats.totalAttempts++;
+    if (failure?.status === 'ERROR') sessionStats.errorRequests++;
+    if (failure?.status === 'ABORTED') sessionStats.abortedRequests++;
     sessionStats.totalInputTokens += usage.input_tokens || 0;
     sessionStats.totalCacheReadTokens += usage.cache_read_input_tokens || 0;
     sessionStats.totalCacheWriteTokens += usage.cache_creation_input_tokens || 0;
@@ -726,57 +3157,106 @@ function processUsageData(usage) {
     if (hadCacheRead) {
         sessionStats.cacheHits++;
         sessionStats.consecutiveMisses = 0;
-    } else if (hadCacheWrite) {
+    } else if (hadCacheMiss) {
         sessionStats.cacheMisses++;
         sessionStats.consecutiveMisses++;
     }
 
     // Store in history with cost calculation and analysis
-    const responseTime = currentRequest.startTime ? Date.now() - currentRequest.startTime : 0;
+    const responseTime = ctx.startTime ? Date.now() - ctx.startTime : 0;
     const costs = calculateCosts(usage);
 
     // Analyze current request
-    const currentHashes = hashMessages(currentRequest.messages);
+    const currentHashes = hashMessages(ctx.messages);
     let analysis = null;
 
-    // If cache miss (write but no read), analyze why
-    if (hadCacheWrite && !hadCacheRead) {
-        analysis = analyzeCacheMiss(currentRequest.messages, currentHashes);
-        log('Cache miss analysis:', analysis);
+    // Snapshot the World Info entries in the prompt, so a later miss compares
+    // against the books as they were for this request, not as they are by then
+    if (isChainRequest(ctx.tags)) ctx.loreEntries = matchWorldInfoEntries(ctx.messages);
+
+    const poolMatches = matchPrefixPool(ctx.segments, model, ctx.startTime, ctx.id);
+    let cacheSource = null;
+
+    // Analyze every request that read nothing from cache - including ones that
+    // wrote nothing either (no markers, or a prefix below the model's minimum).
+    // Compare against the longest still-warm prefix, or the previous request if none is warm.
+    if (!hadCacheRead) {
+        // A cache write proves markers were there and the prefix was long enough
+        const cacheability = hadCacheWrite ? null : checkCacheability(model, provider, ctx.segments, ctx.breakpoints, true);
+        const warmMatch = findLongestWarmMatch(poolMatches);
+        const compareTo = warmMatch?.request || findPredecessor(ctx);
+        analysis = analyzeCacheMiss(ctx.messages, currentHashes, compareTo, ctx.startTime, cacheability, ctx.loreEntries, ctx.prefixParts);
+        analysis.warmPoolSize = poolMatches.filter(m => m.warm).length;
+        analysis.comparedToWarmMatch = !!warmMatch;
+        log(`Cache miss analysis for request #${ctx.id}:`, analysis);
+    } else {
+        const source = findCacheSource(poolMatches, usage.cache_read_input_tokens);
+        if (source) {
+            cacheSource = {
+                requestId: source.request.id,
+                sharedTokens: source.sharedTokens,
+                ageMs: ctx.startTime - source.request.lastUsedAt,
+            };
+            // Reading a prefix refreshes its TTL
+            source.request.lastUsedAt = Date.now();
+        }
     }
 
-    sessionStats.requestHistory.push({
+    // Track per-breakpoint warm/cold state
+    const breakpoints = ctx.breakpoints.map(bp => ({ ...bp }));
+    updateBreakpointState(breakpoints, usage);
+    currentBreakpoints = breakpoints;
+
+    const entry = {
+        requestId: ctx.id,
+        startTime: ctx.startTime,
+        overlaps: [...ctx.overlaps],
+        ...ctx.tags,
         timestamp: Date.now(),
         responseTimeMs: responseTime,
+        status: failure?.status || 'OK',
+        errorType: failure?.errorType || null,
+        errorMessage: failure?.errorMessage || null,
         usage: { ...usage },
         cacheHit: hadCacheRead,
         cacheWrite: hadCacheWrite,
         costs,
         analysis,
         messageHashes: currentHashes,
-        messageCount: currentRequest.messages?.length || 0,
-    });
+        messageCount: ctx.messages?.length || 0,
+        breakpoints,
+        prediction: ctx.prediction || null,
+        cacheSource,
+        loreEntries: ctx.loreEntries,
+    };
+    sessionStats.requestHistory.push(entry);
+    persistHistoryEntry(entry);
 
     // Update persistent daily stats
-    updateDailyStats(usage, costs);
-
-    // Store current request as previous for next comparison
-    if (currentRequest.messages) {
-        previousRequest = {
-            messages: currentRequest.messages,
-            messageHashes: currentHashes,
-            systemPrompt: currentRequest.messages[0]?.role === 'system' ? currentRequest.messages[0] : null,
-            systemPromptHash: currentRequest.messages[0]?.role === 'system'
-                ? hashString(JSON.stringify(currentRequest.messages[0]))
-                : null,
-            timestamp: Date.now(),
-        };
+    updateDailyStats(usage, costs, failure?.status);
+
+    // Store current request as a comparison candidate for later requests
+    if (ctx.messages) {
+        recordCompletedRequest(ctx, currentHashes);
+    }
+
+    // Reads and writes both refresh the TTL of the tiers this request used
+    if (hadCacheRead || hadCacheWrite) {
+        const tiers = new Set(ctx.cacheTtls);
+        if (usage.cache_creation?.ephemeral_5m_input_tokens > 0) tiers.add('5m');
+        if (usage.cache_creation?.ephemeral_1h_input_tokens > 0) tiers.add('1h');
+        if (tiers.size === 0) tiers.add(provider.defaultTtl);
+        for (const tier of tiers) {
+            cacheTierActivity[tier] = Date.now();
+        }
     }
 
     if (sessionStats.requestHistory.length > 100) {
         sessionStats.requestHistory.shift();
     }
 
+    checkBudgetWarnings();
+
     // Warn on waste
     const settings = extension_settings[extensionName];
     if (settings?.autoPauseOnWaste && sessionStats.consecutiveMisses >= settings.wasteThreshold) {
@@ -787,60 +3267,93 @@ function processUsageData(usage) {
         );
     }
 
-    saveUsageToMessage(usage);
+    bindUsageToMessage(entry);
+    refreshNextPrediction();
     updatePanel();
 
-    log('Usage processed:', usage);
+    log(`Usage processed for request #${ctx.id}:`, usage);
+    return true;
 }
 
 /**
- * Calculate costs for a request based on Claude pricing (Nov 2025)
- * https://claude.com/pricing#api
+ * Record a failed or aborted request that has no usage data
+ */
+function recordRequestFailure(ctx, failure) {
+    log(`Request #${ctx.id} ${failure.status}:`, failure.errorType, failure.errorMessage);
+
+    sessionStats.totalAttempts++;
+    if (failure.status === 'ABORTED') sessionStats.abortedRequests++;
+    else sessionStats.errorRequests++;
+
+    const currentHashes = hashMessages(ctx.messages);
+    const entry = {
+        requestId: ctx.id,
+        startTime: ctx.startTime,
+        overlaps: [...ctx.overlaps],
+        ...ctx.tags,
+        timestamp: Date.now(),
+        responseTimeMs: Date.now() - ctx.startTime,
+        status: failure.status,
+        errorType: failure.errorType,
+        errorMessage: failure.errorMessage,
+        model: ctx.model,
+        usage: null,
+        cacheHit: false,
+        cacheWrite: false,
+        costs: null,
+        analysis: null,
+        messageHashes: currentHashes,
+        messageCount: ctx.messages?.length || 0,
+        breakpoints: [],
+    };
+    sessionStats.requestHistory.push(entry);
+    persistHistoryEntry(entry);
+
+    updateDailyStats(null, null, failure.status);
+
+    if (sessionStats.requestHistory.length > 100) {
+        sessionStats.requestHistory.shift();
+    }
+
+    updatePanel();
+}
+
+/**
+ * Get the active pricing rules, falling back to the defaults
+ */
+function getPricingRules() {
+    const rules = extension_settings[extensionName]?.pricingRules;
+    return Array.isArray(rules) && rules.length > 0 ? rules : defaultPricingRules;
+}
+
+/**
+ * Find the first pricing rule whose pattern matches the model
+ */
+function findPricingRule(model) {
+    for (const rule of getPricingRules()) {
+        try {
+            if (new RegExp(rule.pattern, 'i').test(model)) return rule;
+        } catch (e) {
+            log('Invalid pricing pattern:', rule.pattern, e.message);
+        }
+    }
+    // Nothing matched - use the catch-all default
+    return defaultPricingRules[defaultPricingRules.length - 1];
+}
+
+/**
+ * Calculate costs for a request using the pricing rule that matches its model
  */
 function calculateCosts(usage) {
     const model = usage.model || '';
+    const rule = findPricingRule(model);
 
-    // Default to Sonnet 4.5 pricing, adjust for other models
-    let inputPrice = 3.0;       // per 1M tokens
-    let outputPrice = 15.0;
-    let cacheWritePrice = 3.75; // 25% more than input
-    let cacheReadPrice = 0.30;  // 90% less than input
-
-    // Opus 4.5 pricing
-    if (/opus-4-5|opus-4\.5/i.test(model)) {
-        inputPrice = 5.0;
-        outputPrice = 25.0;
-        cacheWritePrice = 6.25;
-        cacheReadPrice = 0.50;
-    }
-    // Opus 4.1 (legacy) pricing
-    else if (/opus-4-1|opus-4\.1/i.test(model)) {
-        inputPrice = 15.0;
-        outputPrice = 75.0;
-        cacheWritePrice = 18.75;
-        cacheReadPrice = 1.50;
-    }
-    // Generic opus fallback (assume 4.5)
-    else if (/opus/i.test(model)) {
-        inputPrice = 5.0;
-        outputPrice = 25.0;
-        cacheWritePrice = 6.25;
-        cacheReadPrice = 0.50;
-    }
-    // Haiku 4.5 pricing
-    else if (/haiku-4-5|haiku-4\.5/i.test(model)) {
-        inputPrice = 1.0;
-        outputPrice = 5.0;
-        cacheWritePrice = 1.25;
-        cacheReadPrice = 0.10;
-    }
-    // Haiku 3.5 (legacy) pricing
-    else if (/haiku/i.test(model)) {
-        inputPrice = 0.80;
-        outputPrice = 4.0;
-        cacheWritePrice = 1.0;
-        cacheReadPrice = 0.08;
-    }
+    // Prices per 1M tokens
+    const inputPrice = Number(rule.input) || 0;
+    const outputPrice = Number(rule.output) || 0;
+    const cacheWritePrice = Number(rule.cacheWrite) || 0;
+    const cacheWrite1hPrice = Number(rule.cacheWrite1h ?? inputPrice * 2) || 0; // 1h writes cost 2x input
+    const cacheReadPrice = Number(rule.cacheRead) || 0;
 
     const reportedInputTokens = usage.input_tokens || 0;
     const outputTokens = usage.output_tokens || 0;
@@ -851,12 +3364,18 @@ function calculateCosts(usage) {
     // This handles cases where input_tokens is incorrectly reported (e.g., streaming shows 2)
     const totalInputTokens = Math.max(reportedInputTokens, cacheRead + cacheWrite);
 
-    // Non-cached input tokens = total input - cache read
-    const nonCachedInput = Math.max(0, totalInputTokens - cacheRead);
+    // Non-cached input tokens = total input - cache read - cache write
+    // (written tokens are billed at the cache write price instead)
+    const nonCachedInput = Math.max(0, totalInputTokens - cacheRead - cacheWrite);
 
     const inputCost = (nonCachedInput / 1_000_000) * inputPrice;
     const outputCost = (outputTokens / 1_000_000) * outputPrice;
-    const cacheWriteCost = (cacheWrite / 1_000_000) * cacheWritePrice;
+    // Split writes by TTL tier when the API reports the breakdown; otherwise assume 5m
+    const cacheWrite1h = Math.min(cacheWrite, usage.cache_creation?.ephemeral_1h_input_tokens || 0);
+    const cacheWrite5m = cacheWrite - cacheWrite1h;
+    const cacheWrite5mCost = (cacheWrite5m / 1_000_000) * cacheWritePrice;
+    const cacheWrite1hCost = (cacheWrite1h / 1_000_000) * cacheWrite1hPrice;
+    const cacheWriteCost = cacheWrite5mCost + cacheWrite1hCost;
     const cacheReadCost = (cacheRead / 1_000_000) * cacheReadPrice;
 
     const totalCost = inputCost + outputCost + cacheWriteCost + cacheReadCost;
@@ -869,10 +3388,13 @@ function calculateCosts(usage) {
         inputCost,
         outputCost,
         cacheWriteCost,
+        cacheWrite5mCost,
+        cacheWrite1hCost,
         cacheReadCost,
         totalCost,
         costWithoutCache,
         savings,
+        pricingRule: rule.label || rule.pattern,
     };
 }
 
@@ -893,6 +3415,15 @@ function formatCost(cost) {
     return `$${cost.toFixed(4)}`;
 }
 
+/**
+ * Format the session's failed (errored + aborted) request rate
+ */
+function formatFailureRate() {
+    if (sessionStats.totalAttempts === 0) return '--';
+    const failed = sessionStats.errorRequests + sessionStats.abortedRequests;
+    return `${Math.round((failed / sessionStats.totalAttempts) * 100)}%`;
+}
+
 /**
  * Format a date key as a readable date
  */
@@ -902,6 +3433,9 @@ function formatDateKey(dateKey) {
     return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
 }
 
+// Bumped whenever the history modal opens or switches view, so a slow view render can tell it is stale
+let historyViewRenderId = 0;
+
 /**
  * Show the history modal
  */
@@ -909,6 +3443,7 @@ function showHistoryModal() {
     // Remove existing modal
     const existing = document.getElementById('cache_history_modal');
     if (existing) existing.remove();
+    historyViewRenderId++;
 
     // Get daily stats
     const allDailyStats = loadDailyStats();
@@ -938,6 +3473,7 @@ function showHistoryModal() {
                                 <div class="daily_stat_row"><span>Cache Write:</span> <b class="neutral">${(s.cacheWriteTokens || 0).toLocaleString()}</b></div>
                                 <div class="daily_stat_row"><span>Cost:</span> <b>${formatCost(s.totalCost || 0)}</b></div>
                                 <div class="daily_stat_row"><span>Savings:</span> <b class="good">${formatCost(s.savings || 0)}</b></div>
+                                ${s.errors || s.aborted ? `<div class="daily_stat_row"><span>Failed:</span> <b class="bad">${s.errors || 0} err / ${s.aborted || 0} stop</b></div>` : ''}
                             </div>
                         `;
                     }).join('')}
@@ -946,6 +3482,25 @@ function showHistoryModal() {
         `;
     }
 
+    const historyTableHead = `
+        <thead>
+            <tr>
+                <th>#</th>
+                <th>Time</th>
+                <th>Type</th>
+                <th>Model</th>
+                <th>Msgs</th>
+                <th>Input</th>
+                <th>Cache Read</th>
+                <th>Cache Write</th>
+                <th>Status</th>
+                <th>Cost</th>
+                <th>Pricing</th>
+                <th>Analysis</th>
+            </tr>
+        </thead>
+    `;
+
     const modal = document.createElement('div');
     modal.id = 'cache_history_modal';
     modal.innerHTML = `
@@ -955,35 +3510,58 @@ function showHistoryModal() {
                 <h3>Cache Monitor History</h3>
                 <button class="cache_modal_close">&times;</button>
             </div>
+            <div class="cache_modal_tabs">
+                <button class="cache_modal_tab active" data-view="requests">Requests</button>
+                <button class="cache_modal_tab" data-view="chat">By Chat</button>
+                <button class="cache_modal_tab" data-view="character">By Character</button>
+                <button class="cache_modal_tab" data-view="type">By Type</button>
+                <button class="cache_modal_tab" data-view="trends">Trends</button>
+            </div>
             <div class="cache_modal_body">
+                <div id="cache_entity_view" class="cache_entity_view" style="display: none;"></div>
+                <div id="cache_requests_view">
                 ${dailyStatsHtml}
                 <div class="session_history_section">
                     <h4>Session Requests</h4>
                     <table class="cache_history_table">
-                        <thead>
-                            <tr>
-                                <th>Time</th>
-                                <th>Model</th>
-                                <th>Msgs</th>
-                                <th>Input</th>
-                                <th>Cache Read</th>
-                                <th>Cache Write</th>
-                                <th>Status</th>
-                                <th>Cost</th>
-                                <th>Analysis</th>
-                            </tr>
-                        </thead>
+                        ${historyTableHead}
                         <tbody id="cache_history_tbody">
                         </tbody>
                     </table>
                     ${sessionStats.requestHistory.length === 0 ? '<p style="text-align: center; opacity: 0.7; margin-top: 20px;">No requests recorded this session</p>' : ''}
                 </div>
+                ${extension_settings[extensionName]?.persistHistory ? `
+                    <div class="session_history_section saved_history_section">
+                        <h4>Earlier Sessions</h4>
+                        <table class="cache_history_table">
+                            ${historyTableHead}
+                            <tbody id="cache_saved_history_tbody">
+                            </tbody>
+                        </table>
+                        <p id="cache_saved_history_status" class="saved_history_status">Loading saved requests...</p>
+                        <button id="cache_saved_history_more" class="cache_action_btn" style="display: none;">Load More</button>
+                    </div>
+                ` : ''}
+                </div>
             </div>
             <div class="cache_modal_footer">
                 <div class="cache_modal_summary">
                     <span>Session Requests: <b>${sessionStats.totalRequests}</b></span>
                     <span>Session Cost: <b>${formatCost(sessionStats.requestHistory.reduce((sum, r) => sum + (r.costs?.totalCost || 0), 0))}</b></span>
                     <span>Session Savings: <b class="good">${formatCost(sessionStats.requestHistory.reduce((sum, r) => sum + (r.costs?.savings || 0), 0))}</b></span>
+                    <span>Errors: <b class="${sessionStats.errorRequests > 0 ? 'bad' : ''}">${sessionStats.errorRequests}</b></span>
+                    <span>Aborted: <b class="${sessionStats.abortedRequests > 0 ? 'neutral' : ''}">${sessionStats.abortedRequests}</b></span>
+                    <span>Failure Rate: <b>${formatFailureRate()}</b></span>
+                </div>
+                <div class="cache_modal_actions">
+                    <span>Requests:</span>
+                    <button class="menu_button" id="cache_export_requests_csv">CSV</button>
+                    <button class="menu_button" id="cache_export_requests_json">JSON</button>
+                    <span>Daily stats:</span>
+                    <button class="menu_button" id="cache_export_daily_csv">CSV</button>
+                    <button class="menu_button" id="cache_export_daily_json">JSON</button>
+                    <button class="menu_button" id="cache_import_daily_json">Import JSON</button>
+                    <input type="file" id="cache_import_daily_file" accept=".json,application/json" hidden />
                 </div>
             </div>
         </div>
@@ -991,73 +3569,823 @@ function showHistoryModal() {
 
     document.body.appendChild(modal);
 
-    // Populate table
-    const tbody = document.getElementById('cache_history_tbody');
-    const history = [...sessionStats.requestHistory].reverse(); // Most recent first
+    // Populate table
+    const tbody = document.getElementById('cache_history_tbody');
+    // Most recently sent first - overlapping requests can complete out of order
+    const history = [...sessionStats.requestHistory].sort((a, b) => (b.startTime || b.timestamp) - (a.startTime || a.timestamp));
+
+    for (let i = 0; i < history.length; i++) {
+        const entry = history[i];
+        const row = createHistoryRow(entry, i);
+        // Add click handler to show detailed analysis
+        row.addEventListener('click', () => showAnalysisDetail(entry, i));
+        tbody.appendChild(row);
+    }
+
+    // Saved requests from earlier sessions are paged in lazily
+    if (extension_settings[extensionName]?.persistHistory) {
+        let nextKey = null;
+        const savedTbody = document.getElementById('cache_saved_history_tbody');
+        const statusEl = document.getElementById('cache_saved_history_status');
+        const moreBtn = document.getElementById('cache_saved_history_more');
+
+        const loadPage = async () => {
+            moreBtn.disabled = true;
+            try {
+                const page = await loadPersistedHistoryPage(nextKey);
+                for (const record of page.entries) {
+                    const index = savedTbody.children.length;
+                    const row = createHistoryRow(record, index);
+                    row.title = `Saved ${new Date(record.timestamp).toLocaleString()}`;
+                    row.addEventListener('click', async () => {
+                        try {
+                            showAnalysisDetail(await hydrateHistoryEntry(record), index);
+                        } catch (e) {
+                            log('Error loading saved request:', e);
+                            showAnalysisDetail(record, index);
+                        }
+                    });
+                    savedTbody.appendChild(row);
+                }
+                nextKey = page.nextKey;
+                statusEl.textContent = savedTbody.children.length === 0 ? 'No saved requests from earlier sessions' : '';
+                moreBtn.style.display = nextKey !== null ? '' : 'none';
+            } catch (e) {
+                log('Error loading saved history:', e);
+                statusEl.textContent = `Could not load saved requests: ${e.message}`;
+            }
+            moreBtn.disabled = false;
+        };
+
+        moreBtn.addEventListener('click', loadPage);
+        loadPage();
+    }
+
+    // View tabs
+    modal.querySelectorAll('.cache_modal_tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            modal.querySelectorAll('.cache_modal_tab').forEach(t => t.classList.toggle('active', t === tab));
+            const view = tab.dataset.view;
+            historyViewRenderId++;
+            document.getElementById('cache_requests_view').style.display = view === 'requests' ? '' : 'none';
+            document.getElementById('cache_entity_view').style.display = view === 'requests' ? 'none' : '';
+            if (view === 'trends') renderTrendsView();
+            else if (view !== 'requests') renderEntityView(view);
+        });
+    });
+
+    // Export / import
+    const stamp = getTodayKey();
+    const exportRequests = async (format) => {
+        try {
+            const rows = (await getAllHistoryEntries())
+                .map(flattenHistoryEntry)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            if (format === 'csv') {
+                downloadFile(`cache-monitor-requests-${stamp}.csv`, toCsv(rows, requestExportColumns), 'text/csv');
+            } else {
+                const data = { version: 1, type: 'requests', exported: new Date().toISOString(), requests: rows };
+                downloadFile(`cache-monitor-requests-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+            }
+        } catch (e) {
+            toastr.error(`Could not export requests: ${e.message}`);
+        }
+    };
+    document.getElementById('cache_export_requests_csv').addEventListener('click', () => exportRequests('csv'));
+    document.getElementById('cache_export_requests_json').addEventListener('click', () => exportRequests('json'));
+
+    document.getElementById('cache_export_daily_csv').addEventListener('click', () => {
+        const rows = Object.values(loadDailyStats()).sort((a, b) => a.date.localeCompare(b.date));
+        downloadFile(`cache-monitor-daily-${stamp}.csv`, toCsv(rows, ['date', ...DAILY_STAT_FIELDS]), 'text/csv');
+    });
+    document.getElementById('cache_export_daily_json').addEventListener('click', () => {
+        const data = {
+            version: 1,
+            type: 'daily_stats',
+            source: getBrowserId(),
+            exported: new Date().toISOString(),
+            days: getLocalDailyStats(),
+        };
+        downloadFile(`cache-monitor-daily-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+    });
+
+    const importInput = document.getElementById('cache_import_daily_file');
+    document.getElementById('cache_import_daily_json').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files?.[0];
+        importInput.value = '';
+        if (!file) return;
+
+        try {
+            const count = importDailyStats(JSON.parse(await file.text()));
+            toastr.success(`Merged daily stats for ${count} day${count === 1 ? '' : 's'}`);
+            modal.remove();
+            showHistoryModal();
+        } catch (e) {
+            toastr.error(`Could not import daily stats: ${e.message}`);
+        }
+    });
+
+    // Close handlers
+    modal.querySelector('.cache_modal_backdrop').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cache_modal_close').addEventListener('click', () => modal.remove());
+}
+
+/**
+ * Columns for request log exports, in CSV order
+ */
+const requestExportColumns = [
+    'timestamp', 'requestId', 'model', 'provider', 'messageCount', 'status', 'errorType', 'errorMessage',
+    'cacheHit', 'cacheWrite',
+    'input_tokens', 'output_tokens', 'cache_read_input_tokens', 'cache_creation_input_tokens',
+    'cache_creation_5m_input_tokens', 'cache_creation_1h_input_tokens',
+    'inputCost', 'outputCost', 'cacheWriteCost', 'cacheWrite5mCost', 'cacheWrite1hCost', 'cacheReadCost',
+    'totalCost', 'costWithoutCache', 'savings', 'pricingRule',
+    'primaryDiagnosis', 'chatId', 'characterName', 'groupName', 'apiSource', 'generationType',
+];
+
+/**
+ * Flatten a history entry into a single export row
+ */
+function flattenHistoryEntry(entry) {
+    const u = entry.usage || {};
+    const c = entry.costs || {};
+    const creation = parseCacheCreation(u);
+    const diagnosis = entry.analysis?.primaryDiagnosis;
+
+    return {
+        timestamp: new Date(entry.timestamp).toISOString(),
+        requestId: entry.requestId ?? null,
+        model: u.model || entry.model || null,
+        provider: u.provider || null,
+        messageCount: entry.messageCount ?? null,
+        status: entry.status || 'OK',
+        errorType: entry.errorType || null,
+        errorMessage: entry.errorMessage || null,
+        cacheHit: !!entry.cacheHit,
+        cacheWrite: !!entry.cacheWrite,
+        input_tokens: u.input_tokens ?? null,
+        output_tokens: u.output_tokens ?? null,
+        cache_read_input_tokens: u.cache_read_input_tokens ?? null,
+        cache_creation_input_tokens: u.cache_creation_input_tokens ?? null,
+        cache_creation_5m_input_tokens: creation?.ephemeral_5m_input_tokens ?? null,
+        cache_creation_1h_input_tokens: creation?.ephemeral_1h_input_tokens ?? null,
+        inputCost: c.inputCost ?? null,
+        outputCost: c.outputCost ?? null,
+        cacheWriteCost: c.cacheWriteCost ?? null,
+        cacheWrite5mCost: c.cacheWrite5mCost ?? null,
+        cacheWrite1hCost: c.cacheWrite1hCost ?? null,
+        cacheReadCost: c.cacheReadCost ?? null,
+        totalCost: c.totalCost ?? null,
+        costWithoutCache: c.costWithoutCache ?? null,
+        savings: c.savings ?? null,
+        pricingRule: c.pricingRule || null,
+        primaryDiagnosis: diagnosis ? diagnosis.issue : null,
+        chatId: entry.chatId || null,
+        characterName: entry.characterName || null,
+        groupName: entry.groupName || null,
+        apiSource: entry.apiSource || null,
+        generationType: entry.generationType || null,
+    };
+}
+
+/**
+ * Serialize rows of plain values to CSV
+ */
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(col => escape(row[col])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Random ID for this browser, so re-importing the same export
+ * replaces its earlier contribution instead of adding it twice
+ */
+function getBrowserId() {
+    let id = localStorage.getItem(BROWSER_ID_KEY);
+    if (!id) {
+        id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem(BROWSER_ID_KEY, id);
+    }
+    return id;
+}
+
+/**
+ * Load imported daily stats, keyed by source browser then date
+ */
+function loadDailyImports() {
+    try {
+        const stored = localStorage.getItem(DAILY_IMPORTS_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        log('Error loading daily imports:', e);
+        return {};
+    }
+}
+
+/**
+ * Daily stats recorded in this browser only (merged imports subtracted),
+ * so browsers can swap exports without counting each other twice
+ */
+function getLocalDailyStats() {
+    const local = loadDailyStats();
+    for (const days of Object.values(loadDailyImports())) {
+        for (const [date, day] of Object.entries(days)) {
+            if (!local[date]) continue;
+            for (const field of DAILY_STAT_FIELDS) {
+                local[date][field] = Math.max(0, (local[date][field] || 0) - (day[field] || 0));
+            }
+        }
+    }
+    return local;
+}
+
+/**
+ * Merge a daily stats export from another browser into today's totals.
+ * Returns the number of days merged.
+ */
+function importDailyStats(data) {
+    if (data?.type !== 'daily_stats' || !data.days || typeof data.days !== 'object') {
+        throw new Error('Not a Cache Monitor daily stats export');
+    }
+    const source = String(data.source || 'unknown');
+    if (source === getBrowserId()) {
+        throw new Error('This export came from this browser');
+    }
+
+    const incoming = {};
+    for (const [date, day] of Object.entries(data.days)) {
+        if (!DATE_KEY_PATTERN.test(date) || !day || typeof day !== 'object') continue;
+        incoming[date] = createDailyStatsEntry(date);
+        for (const field of DAILY_STAT_FIELDS) {
+            const value = Number(day[field]);
+            incoming[date][field] = Number.isFinite(value) && value > 0 ? value : 0;
+        }
+    }
+    if (Object.keys(incoming).length === 0) throw new Error('No valid days found');
+
+    // Replace this source's previous contribution rather than adding to it
+    const imports = loadDailyImports();
+    const previous = imports[source] || {};
+    const allStats = loadDailyStats();
+    const dates = new Set([...Object.keys(previous), ...Object.keys(incoming)]);
+
+    for (const date of dates) {
+        if (!allStats[date]) allStats[date] = createDailyStatsEntry(date);
+        for (const field of DAILY_STAT_FIELDS) {
+            const delta = (incoming[date]?.[field] || 0) - (previous[date]?.[field] || 0);
+            allStats[date][field] = Math.max(0, (allStats[date][field] || 0) + delta);
+        }
+    }
+
+    imports[source] = incoming;
+    saveDailyStats(allStats);
+    localStorage.setItem(DAILY_IMPORTS_KEY, JSON.stringify(imports));
+    return Object.keys(incoming).length;
+}
+
+/**
+ * Load every saved request record (without prompt contents)
+ */
+async function loadAllPersistedRecords() {
+    const db = await openHistoryDb();
+    const tx = db.transaction('requests', 'readonly');
+    return idbRequest(tx.objectStore('requests').getAll());
+}
+
+/**
+ * Get all known requests: the saved log when persistence is on (it includes
+ * this session), otherwise just this session's history
+ */
+async function getAllHistoryEntries() {
+    if (extension_settings[extensionName]?.persistHistory) {
+        try {
+            return await loadAllPersistedRecords();
+        } catch (e) {
+            log('Error loading saved history, using session only:', e);
+        }
+    }
+    return sessionStats.requestHistory;
+}
+
+/**
+ * Aggregate history entries into per-entity stats.
+ * keyFn returns { key, label } for an entry, or null to skip it.
+ */
+function aggregateHistory(entries, keyFn) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+        const id = keyFn(entry);
+        if (!id) continue;
+
+        if (!groups.has(id.key)) {
+            groups.set(id.key, {
+                key: id.key,
+                label: id.label,
+                requests: 0,
+                failed: 0,
+                hits: 0,
+                inputTokens: 0,
+                cacheReadTokens: 0,
+                cacheWriteTokens: 0,
+                totalCost: 0,
+                savings: 0,
+                diagnoses: {},
+                lastSeen: 0,
+            });
+        }
+        const group = groups.get(id.key);
+        const u = entry.usage || {};
+
+        group.requests++;
+        if (entry.status === 'ERROR' || entry.status === 'ABORTED') group.failed++;
+        if (entry.cacheHit) group.hits++;
+        group.inputTokens += Math.max(u.input_tokens || 0, (u.cache_read_input_tokens || 0) + (u.cache_creation_input_tokens || 0));
+        group.cacheReadTokens += u.cache_read_input_tokens || 0;
+        group.cacheWriteTokens += u.cache_creation_input_tokens || 0;
+        group.totalCost += entry.costs?.totalCost || 0;
+        group.savings += entry.costs?.savings || 0;
+        group.lastSeen = Math.max(group.lastSeen, entry.timestamp || 0);
+
+        const diagnosis = entry.analysis?.primaryDiagnosis;
+        if (diagnosis) {
+            const name = `${diagnosis.icon} ${diagnosis.issue}`;
+            group.diagnoses[name] = (group.diagnoses[name] || 0) + 1;
+        }
+    }
+
+    return [...groups.values()].map(group => {
+        const [dominant, count] = Object.entries(group.diagnoses).sort((a, b) => b[1] - a[1])[0] || [];
+        return {
+            ...group,
+            hitRate: group.inputTokens > 0 ? group.cacheReadTokens / group.inputTokens : null,
+            dominantDiagnosis: dominant ? `${dominant} (${count})` : null,
+        };
+    }).sort((a, b) => b.totalCost - a.totalCost);
+}
+
+/**
+ * Get the chat an entry belongs to
+ */
+function getChatKey(entry) {
+    if (!entry.chatId) return { key: '(unknown)', label: 'Unknown chat' };
+    const owner = entry.groupName ? `Group: ${entry.groupName}` : (entry.characterName || 'Unknown');
+    return { key: entry.chatId, label: `${owner} — ${entry.chatId}` };
+}
+
+/**
+ * Get the character or group an entry belongs to
+ */
+function getCharacterKey(entry) {
+    if (entry.groupName) return { key: `group:${entry.groupName}`, label: `Group: ${entry.groupName}` };
+    if (entry.characterName) return { key: `char:${entry.characterName}`, label: entry.characterName };
+    return { key: '(unknown)', label: 'Unknown' };
+}
+
+/**
+ * Get the generation type of an entry
+ */
+function getGenerationTypeKey(entry) {
+    const type = entry.generationType || '(unknown)';
+    return { key: type, label: formatGenerationType(entry.generationType) };
+}
+
+/**
+ * Grouped stats views in the history modal
+ */
+const entityViews = {
+    chat: { title: 'By Chat', column: 'Chat', keyFn: getChatKey },
+    character: { title: 'By Character', column: 'Character / Group', keyFn: getCharacterKey },
+    type: { title: 'By Generation Type', column: 'Generation Type', keyFn: getGenerationTypeKey },
+};
+
+/**
+ * Render the per-chat, per-character or per-generation-type stats view in the history modal
+ */
+async function renderEntityView(view) {
+    const container = document.getElementById('cache_entity_view');
+    if (!container) return;
+    container.onmousemove = container.onmouseleave = container.onclick = null;
+    container.innerHTML = '<p class="saved_history_status">Loading...</p>';
+
+    const renderId = historyViewRenderId;
+    const { title, column, keyFn } = entityViews[view];
+    const entries = await getAllHistoryEntries();
+    // The user switched views (or reopened the modal) while the history loaded
+    if (renderId !== historyViewRenderId) return;
+    const rows = aggregateHistory(entries, keyFn);
+
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="saved_history_status">No requests recorded yet</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="session_history_section">
+            <h4>${title}</h4>
+            <table class="cache_history_table">
+                <thead>
+                    <tr>
+                        <th>${column}</th>
+                        <th>Requests</th>
+                        <th>Hit Rate</th>
+                        <th>Cache Read</th>
+                        <th>Cache Write</th>
+                        <th>Cost</th>
+                        <th>Savings</th>
+                        <th>Top Miss Diagnosis</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(r => {
+                        const hitClass = r.hitRate === null ? '' : (r.hitRate >= 0.7 ? 'good' : (r.hitRate >= 0.4 ? 'neutral' : 'bad'));
+                        return `
+                            <tr title="Last request: ${r.lastSeen ? new Date(r.lastSeen).toLocaleString() : '--'}">
+                                <td class="analysis-cell">${escapeHtml(r.label)}</td>
+                                <td>${r.requests}${r.failed > 0 ? ` <small class="bad">(${r.failed} failed)</small>` : ''}</td>
+                                <td class="${hitClass}">${r.hitRate === null ? '--' : `${Math.round(r.hitRate * 100)}%`}</td>
+                                <td class="good">${r.cacheReadTokens.toLocaleString()}</td>
+                                <td class="neutral">${r.cacheWriteTokens.toLocaleString()}</td>
+                                <td>${formatCost(r.totalCost)}</td>
+                                <td class="good">${formatCost(r.savings)}</td>
+                                <td class="analysis-cell">${r.dominantDiagnosis ? escapeHtml(r.dominantDiagnosis) : '--'}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Trend chart drawing area (SVG user units)
+const TREND_CHART_WIDTH = 800;
+const TREND_CHART_HEIGHT = 160;
+const TREND_CHART_TOP = 14;
+
+/**
+ * Daily chart ranges in days (0 = everything recorded)
+ */
+const trendRanges = [
+    { id: '7', label: '7 days', days: 7 },
+    { id: '30', label: '30 days', days: 30 },
+    { id: '90', label: '90 days', days: 90 },
+    { id: 'all', label: 'All time', days: 0 },
+];
+
+/**
+ * Cost components stacked in the per-request cost chart (calculateCosts fields)
+ */
+const costComponents = [
+    { field: 'inputCost', label: 'Input', className: 'trend_input' },
+    { field: 'outputCost', label: 'Output', className: 'trend_output' },
+    { field: 'cacheWriteCost', label: 'Cache write', className: 'trend_write' },
+    { field: 'cacheReadCost', label: 'Cache read', className: 'trend_read' },
+];
+
+/**
+ * Tooltip attributes for a chart element; elements tied to a request open its history row on click
+ */
+function trendTip(text, requestId = null) {
+    return `data-tip="${escapeHtml(text)}"${requestId ? ` data-request-id="${requestId}"` : ''}`;
+}
+
+/**
+ * Chart each session request's token hit rate, with the running session hit rate as a line
+ */
+function renderHitRateChart(entries) {
+    const points = entries.filter(e => e.usage);
+    if (points.length === 0) return '<p class="saved_history_status">No completed requests this session</p>';
+
+    const slot = TREND_CHART_WIDTH / points.length;
+    const y = rate => TREND_CHART_HEIGHT - rate * (TREND_CHART_HEIGHT - TREND_CHART_TOP);
+    let read = 0;
+    let input = 0;
+    const running = [];
+    const dots = points.map((entry, i) => {
+        const u = entry.usage;
+        const total = Math.max(u.input_tokens || 0, (u.cache_read_input_tokens || 0) + (u.cache_creation_input_tokens || 0));
+        const rate = total > 0 ? (u.cache_read_input_tokens || 0) / total : 0;
+        read += u.cache_read_input_tokens || 0;
+        input += total;
+        const x = (i + 0.5) * slot;
+        running.push(`${x},${y(input > 0 ? read / input : 0)}`);
+        const tip = `#${entry.requestId} ${formatTime(entry.startTime || entry.timestamp)}: ${Math.round(rate * 100)}% of ${total.toLocaleString()} tokens from cache (session ${Math.round((input > 0 ? read / input : 0) * 100)}%) - click to show in history`;
+        return `<circle cx="${x}" cy="${y(rate)}" r="4" class="trend_point ${rate >= 0.7 ? 'good' : rate >= 0.4 ? 'neutral' : 'bad'}" ${trendTip(tip, entry.requestId)} />`;
+    }).join('');
+
+    return `
+        <svg class="trend_chart" viewBox="0 0 ${TREND_CHART_WIDTH} ${TREND_CHART_HEIGHT}" preserveAspectRatio="none">
+            ${[0, 0.5, 1].map(rate => `<line x1="0" x2="${TREND_CHART_WIDTH}" y1="${y(rate)}" y2="${y(rate)}" class="trend_grid" />`).join('')}
+            <polyline points="${running.join(' ')}" class="trend_line" />
+            ${dots}
+            <text x="2" y="10" class="chat_report_axis">100%</text>
+        </svg>
+        <p class="structure_legend">
+            <span class="legend_item">● Per-request token hit rate</span>
+            <span class="legend_item">— Session hit rate so far</span>
+        </p>
+    `;
+}
+
+/**
+ * Chart each session request's cost, stacked by component
+ */
+function renderRequestCostChart(entries) {
+    const points = entries.filter(e => e.costs);
+    if (points.length === 0) return '<p class="saved_history_status">No priced requests this session</p>';
+
+    const slot = TREND_CHART_WIDTH / points.length;
+    const width = Math.max(1, slot * 0.7);
+    const max = Math.max(...points.map(e => costComponents.reduce((sum, c) => sum + (e.costs[c.field] || 0), 0)), 1e-9);
+    const scale = value => (value / max) * (TREND_CHART_HEIGHT - TREND_CHART_TOP);
+
+    const bars = points.map((entry, i) => {
+        let base = TREND_CHART_HEIGHT;
+        const tip = [
+            `#${entry.requestId} ${formatTime(entry.startTime || entry.timestamp)}: ${formatCost(entry.costs.totalCost || 0)}`,
+            ...costComponents.map(c => `${c.label} ${formatCost(entry.costs[c.field] || 0)}`),
+        ].join(' | ') + ' - click to show in history';
+        const rects = costComponents.map(c => {
+            const h = scale(entry.costs[c.field] || 0);
+            base -= h;
+            return h > 0 ? `<rect x="${i * slot + (slot - width) / 2}" y="${base}" width="${width}" height="${h}" class="${c.className}" />` : '';
+        }).join('');
+        return `<g class="trend_bar" ${trendTip(tip, entry.requestId)}><rect x="${i * slot}" y="0" width="${slot}" height="${TREND_CHART_HEIGHT}" class="trend_hit_area" />${rects}</g>`;
+    }).join('');
+
+    return `
+        <svg class="trend_chart" viewBox="0 0 ${TREND_CHART_WIDTH} ${TREND_CHART_HEIGHT}" preserveAspectRatio="none">
+            ${bars}
+            <text x="2" y="10" class="chat_report_axis">${formatCost(max)}</text>
+        </svg>
+        <p class="structure_legend">
+            ${costComponents.map(c => `<span class="legend_item"><span class="chat_report_swatch ${c.className}"></span> ${c.label}</span>`).join('')}
+        </p>
+    `;
+}
+
+/**
+ * Chart daily cost and savings from the daily stats, filling days without requests
+ */
+function renderDailyTrendChart(rangeId) {
+    const allStats = loadDailyStats();
+    const keys = Object.keys(allStats).sort();
+    if (keys.length === 0) return '<p class="saved_history_status">No daily stats recorded yet</p>';
+
+    const range = trendRanges.find(r => r.id === rangeId) || trendRanges[1];
+    const end = new Date();
+    const start = new Date(end);
+    if (range.days > 0) {
+        start.setDate(start.getDate() - range.days + 1);
+    } else {
+        const [year, month, day] = keys[0].split('-');
+        start.setFullYear(year, month - 1, day);
+    }
+
+    const days = [];
+    for (const date = new Date(start); getDateKey(date) <= getDateKey(end); date.setDate(date.getDate() + 1)) {
+        const key = getDateKey(date);
+        days.push({ key, stats: allStats[key] || null });
+    }
+
+    const slot = TREND_CHART_WIDTH / days.length;
+    const width = Math.max(1, slot * 0.4);
+    const max = Math.max(...days.map(d => Math.max(d.stats?.totalCost || 0, d.stats?.savings || 0)), 1e-9);
+    const scale = value => (value / max) * (TREND_CHART_HEIGHT - TREND_CHART_TOP);
+
+    const bars = days.map((day, i) => {
+        const cost = day.stats?.totalCost || 0;
+        const savings = day.stats?.savings || 0;
+        const x = i * slot + slot * 0.1;
+        const tip = `${formatDateKey(day.key)}: ${day.stats?.requests || 0} requests, cost ${formatCost(cost)}, saved ${formatCost(savings)}`;
+        return `
+            <g class="trend_bar" ${trendTip(tip)}>
+                <rect x="${i * slot}" y="0" width="${slot}" height="${TREND_CHART_HEIGHT}" class="trend_hit_area" />
+                <rect x="${x}" y="${TREND_CHART_HEIGHT - scale(cost)}" width="${width}" height="${scale(cost)}" class="trend_cost" />
+                <rect x="${x + width}" y="${TREND_CHART_HEIGHT - scale(savings)}" width="${width}" height="${scale(savings)}" class="trend_read" />
+            </g>
+        `;
+    }).join('');
+
+    const totalCost = days.reduce((sum, d) => sum + (d.stats?.totalCost || 0), 0);
+    const totalSavings = days.reduce((sum, d) => sum + (d.stats?.savings || 0), 0);
+    return `
+        <svg class="trend_chart" viewBox="0 0 ${TREND_CHART_WIDTH} ${TREND_CHART_HEIGHT}" preserveAspectRatio="none">
+            ${bars}
+            <text x="2" y="10" class="chat_report_axis">${formatCost(max)}</text>
+        </svg>
+        <p class="structure_legend">
+            <span class="legend_item"><span class="chat_report_swatch trend_cost"></span> Cost (${formatCost(totalCost)})</span>
+            <span class="legend_item"><span class="chat_report_swatch trend_read"></span> Savings (${formatCost(totalSavings)})</span>
+            <span class="legend_item">${formatDateKey(days[0].key)} – ${formatDateKey(days[days.length - 1].key)}</span>
+        </p>
+    `;
+}
+
+/**
+ * Render the trend charts view in the history modal
+ */
+function renderTrendsView() {
+    const container = document.getElementById('cache_entity_view');
+    if (!container) return;
+
+    const entries = [...sessionStats.requestHistory].sort((a, b) => (a.startTime || a.timestamp) - (b.startTime || b.timestamp));
+    container.innerHTML = `
+        <div class="session_history_section">
+            <h4>Token Hit Rate (this session)</h4>
+            ${renderHitRateChart(entries)}
+        </div>
+        <div class="session_history_section">
+            <h4>Cost per Request (this session)</h4>
+            ${renderRequestCostChart(entries)}
+        </div>
+        <div class="session_history_section">
+            <h4>Daily Cost and Savings</h4>
+            <div class="trend_range_buttons">
+                ${trendRanges.map(r => `<button class="menu_button ${r.id === '30' ? 'active' : ''}" data-range="${r.id}">${r.label}</button>`).join('')}
+            </div>
+            <div id="cache_daily_trend">${renderDailyTrendChart('30')}</div>
+        </div>
+        <div id="cache_trend_tooltip" class="trend_tooltip" style="display: none;"></div>
+    `;
+
+    container.querySelectorAll('.trend_range_buttons button').forEach(button => {
+        button.addEventListener('click', () => {
+            container.querySelectorAll('.trend_range_buttons button').forEach(b => b.classList.toggle('active', b === button));
+            document.getElementById('cache_daily_trend').innerHTML = renderDailyTrendChart(button.dataset.range);
+        });
+    });
+
+    const tooltip = document.getElementById('cache_trend_tooltip');
+    container.onmousemove = (event) => {
+        const target = event.target.closest('[data-tip]');
+        if (!target) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        const bounds = container.getBoundingClientRect();
+        tooltip.textContent = target.dataset.tip;
+        tooltip.style.display = '';
+        tooltip.style.left = `${event.clientX - bounds.left + container.scrollLeft + 12}px`;
+        tooltip.style.top = `${event.clientY - bounds.top + container.scrollTop + 12}px`;
+    };
+    container.onmouseleave = () => {
+        tooltip.style.display = 'none';
+    };
+    container.onclick = (event) => {
+        const target = event.target.closest('[data-request-id]');
+        if (target) showHistoryRow(Number(target.dataset.requestId));
+    };
+}
+
+/**
+ * Switch the history modal to the requests view and highlight a request's row
+ */
+function showHistoryRow(requestId) {
+    const modal = document.getElementById('cache_history_modal');
+    modal?.querySelector('.cache_modal_tab[data-view="requests"]')?.click();
+
+    const row = document.querySelector(`#cache_history_tbody tr[data-request-id="${requestId}"]`);
+    if (!row) return;
+    row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    row.classList.add('cache_row_highlight');
+    setTimeout(() => row.classList.remove('cache_row_highlight'), 2000);
+}
+
+/**
+ * Build a history table row for a request entry
+ */
+function createHistoryRow(entry, index) {
+    const row = document.createElement('tr');
+    row.className = 'cache_history_row';
+    row.dataset.index = index;
+    if (entry.requestId) row.dataset.requestId = entry.requestId;
+    const u = entry.usage || {};
+    const c = entry.costs || {};
+
+    let status = '';
+    let statusClass = '';
+    if (entry.status === 'ERROR') {
+        status = 'ERROR';
+        statusClass = 'bad';
+    } else if (entry.status === 'ABORTED') {
+        status = 'ABORTED';
+        statusClass = 'neutral';
+    } else if (entry.cacheHit) {
+        status = 'HIT ✓';
+        statusClass = 'good';
+    } else if (entry.cacheWrite) {
+        status = 'WRITE';
+        statusClass = 'neutral';
+    } else {
+        status = 'MISS';
+        statusClass = 'bad';
+    }
 
-    for (let i = 0; i < history.length; i++) {
-        const entry = history[i];
-        const row = document.createElement('tr');
-        row.className = 'cache_history_row';
-        row.dataset.index = i;
-        const u = entry.usage;
-        const c = entry.costs || {};
-
-        let status = '';
-        let statusClass = '';
-        if (entry.cacheHit) {
-            status = 'HIT ✓';
-            statusClass = 'good';
-        } else if (entry.cacheWrite) {
-            status = 'WRITE';
-            statusClass = 'neutral';
-        } else {
-            status = 'MISS';
-            statusClass = 'bad';
-        }
-
-        // Shorten model name
-        let modelShort = u.model || 'Unknown';
-        modelShort = modelShort.replace('claude-', '').replace('-20250929', '').replace('-20251124', '');
-
-        // Analysis summary
-        let analysisText = '';
-        let analysisClass = '';
-        if (entry.cacheHit) {
-            analysisText = 'Cache working';
-            analysisClass = 'good';
-        } else if (entry.analysis) {
-            if (entry.analysis.reasons.length > 0) {
-                analysisText = entry.analysis.reasons[0];
-                if (entry.analysis.reasons.length > 1) {
-                    analysisText += ` (+${entry.analysis.reasons.length - 1})`;
-                }
+    // Shorten model name
+    const model = u.model || entry.model || 'Unknown';
+    let modelShort = model;
+    modelShort = modelShort.replace('claude-', '').replace('-20250929', '').replace('-20251124', '');
+
+    // Analysis summary
+    let analysisText = '';
+    let analysisClass = '';
+    if (entry.status === 'ERROR' || entry.status === 'ABORTED') {
+        analysisText = `${entry.errorType}${entry.errorMessage ? `: ${entry.errorMessage}` : ''}`;
+        analysisClass = statusClass;
+    } else if (entry.cacheHit) {
+        analysisText = entry.cacheSource ? `Cache working (from #${entry.cacheSource.requestId})` : 'Cache working';
+        analysisClass = 'good';
+    } else if (entry.analysis) {
+        if (entry.analysis.reasons.length > 0) {
+            analysisText = entry.analysis.reasons[0];
+            if (entry.analysis.reasons.length > 1) {
+                analysisText += ` (+${entry.analysis.reasons.length - 1})`;
             }
-            analysisClass = entry.analysis.ttlWarning ? 'neutral' : 'bad';
-        } else {
-            analysisText = '--';
-        }
-
-        row.innerHTML = `
-            <td>${formatTime(entry.timestamp)}</td>
-            <td title="${u.model}">${modelShort}</td>
-            <td>${entry.messageCount || '--'}</td>
-            <td>${(u.input_tokens || 0).toLocaleString()}</td>
-            <td class="good">${(u.cache_read_input_tokens || 0).toLocaleString()}</td>
-            <td class="neutral">${(u.cache_creation_input_tokens || 0).toLocaleString()}</td>
-            <td class="${statusClass}">${status}</td>
-            <td>${formatCost(c.totalCost || 0)}</td>
-            <td class="${analysisClass} analysis-cell" title="Click for details">${analysisText}</td>
-        `;
-
-        // Add click handler to show detailed analysis
-        row.addEventListener('click', () => showAnalysisDetail(entry, i));
-        tbody.appendChild(row);
+        }
+        analysisClass = entry.analysis.ttlWarning ? 'neutral' : 'bad';
+    } else {
+        analysisText = '--';
     }
 
-    // Close handlers
-    modal.querySelector('.cache_modal_backdrop').addEventListener('click', () => modal.remove());
-    modal.querySelector('.cache_modal_close').addEventListener('click', () => modal.remove());
+    const overlapTitle = entry.overlaps?.length > 0 ? `Overlapped with ${entry.overlaps.map(id => `#${id}`).join(', ')}` : '';
+
+    row.innerHTML = `
+        <td title="${overlapTitle}">${entry.requestId ? `#${entry.requestId}` : '--'}${overlapTitle ? ' <span class="overlap_marker">⇄</span>' : ''}</td>
+        <td>${formatTime(entry.startTime || entry.timestamp)}</td>
+        <td class="${BACKGROUND_GENERATION_TYPES.includes(entry.generationType) ? 'generation_background' : ''}">${escapeHtml(formatGenerationType(entry.generationType))}</td>
+        <td title="${escapeHtml(model)}">${escapeHtml(modelShort)}</td>
+        <td>${entry.messageCount || '--'}</td>
+        <td>${(u.input_tokens || 0).toLocaleString()}</td>
+        <td class="good">${(u.cache_read_input_tokens || 0).toLocaleString()}</td>
+        <td class="neutral">${(u.cache_creation_input_tokens || 0).toLocaleString()}</td>
+        <td class="${statusClass}">${status}</td>
+        <td>${formatCost(c.totalCost || 0)}</td>
+        <td class="pricing-cell" title="Pricing rule that matched this model">${escapeHtml(String(c.pricingRule || '--'))}</td>
+        <td class="${analysisClass} analysis-cell" title="Click for details">${escapeHtml(analysisText)}</td>
+    `;
+
+    return row;
+}
+
+/**
+ * Render the World Info entries of a request as a table, marking entries that
+ * were added, removed or reordered since the request it was compared against
+ */
+function renderWorldInfoSection(entries, comparison) {
+    const added = new Set(comparison?.added.map(e => e.key));
+    const reordered = new Set(comparison?.reordered.map(e => e.key));
+    const row = (e, change, changeClass) => `
+        <tr>
+            <td class="analysis-cell">${escapeHtml(e.name)}</td>
+            <td class="analysis-cell">${escapeHtml(e.world)}</td>
+            <td>${e.order}</td>
+            <td>${escapeHtml(formatLorePosition(e))}</td>
+            <td>${e.position === 4 ? e.depth : '--'}</td>
+            <td>${e.constant ? '🔵' : '🟢'}</td>
+            <td>${e.messageIndex}</td>
+            <td class="${changeClass}">${change}</td>
+        </tr>
+    `;
+    const collisions = comparison?.collisions || findOrderCollisions(entries);
+
+    return `
+        <div class="analysis_section">
+            <h4>📖 World Info</h4>
+            <p>${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} found in the prompt${comparison ? '' : ' (no earlier request to compare with)'}</p>
+            <table class="cache_history_table lore_entry_table">
+                <thead>
+                    <tr>
+                        <th>Entry</th>
+                        <th>Book</th>
+                        <th>Order</th>
+                        <th>Position</th>
+                        <th>Depth</th>
+                        <th title="🔵 constant, 🟢 keyword-triggered">Type</th>
+                        <th>Msg</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(e => added.has(e.key)
+                        ? row(e, 'added', 'neutral')
+                        : reordered.has(e.key) ? row(e, 'reordered', 'bad') : row(e, comparison ? '--' : '', '')).join('')}
+                    ${(comparison?.removed || []).map(e => row(e, 'removed', 'bad')).join('')}
+                </tbody>
+            </table>
+            ${collisions.length > 0 ? `<p class="lore_collisions"><strong>Order collisions:</strong> ${escapeHtml(collisions.map(formatOrderCollision).join('; '))}</p>` : ''}
+        </div>
+    `;
 }
 
 /**
@@ -1067,27 +4395,52 @@ function showAnalysisDetail(entry, index) {
     const existing = document.getElementById('cache_analysis_detail');
     if (existing) existing.remove();
 
-    const u = entry.usage;
+    const u = entry.usage || {};
     const a = entry.analysis;
 
     let detailHtml = `
         <div class="analysis_section">
             <h4>Request Details</h4>
-            <div class="analysis_row"><span>Time:</span> <span>${formatTime(entry.timestamp)}</span></div>
-            <div class="analysis_row"><span>Model:</span> <span>${u.model}</span></div>
+            <div class="analysis_row"><span>Time:</span> <span>${formatTime(entry.startTime || entry.timestamp)}</span></div>
+            ${entry.overlaps?.length > 0 ? `<div class="analysis_row"><span>Overlapped With:</span> <span class="neutral">${entry.overlaps.map(id => `#${id}`).join(', ')}</span></div>` : ''}
+            ${a?.comparedTo ? `<div class="analysis_row"><span>Compared Against:</span> <span>#${a.comparedTo}${a.comparedToWarmMatch ? ` (longest warm prefix of ${a.warmPoolSize} cached request${a.warmPoolSize === 1 ? '' : 's'})` : ''}</span></div>` : ''}
+            <div class="analysis_row"><span>Generation:</span> <span>${escapeHtml(formatGenerationType(entry.generationType))}${BACKGROUND_GENERATION_TYPES.includes(entry.generationType) ? ' (not used as a comparison base)' : ''}</span></div>
+            <div class="analysis_row"><span>Model:</span> <span>${escapeHtml(u.model || entry.model || 'Unknown')}</span></div>
+            ${u.provider ? `<div class="analysis_row"><span>Provider:</span> <span>${getProvider(u.provider).name}</span></div>` : ''}
+            <div class="analysis_row"><span>Pricing Rule:</span> <span>${escapeHtml(String(entry.costs?.pricingRule || '--'))}</span></div>
+            ${entry.prediction ? `<div class="analysis_row"><span>Predicted:</span> <span style="color: ${formatPrediction(entry.prediction).color}">${escapeHtml(formatPrediction(entry.prediction).text)}</span></div>` : ''}
+            ${entry.groupName || entry.characterName ? `<div class="analysis_row"><span>${entry.groupName ? 'Group' : 'Character'}:</span> <span>${escapeHtml(entry.groupName || entry.characterName)}</span></div>` : ''}
+            ${entry.chatId ? `<div class="analysis_row"><span>Chat:</span> <span>${escapeHtml(String(entry.chatId))}</span></div>` : ''}
+            ${entry.apiSource ? `<div class="analysis_row"><span>API Source:</span> <span>${escapeHtml(entry.apiSource)}</span></div>` : ''}
             <div class="analysis_row"><span>Messages:</span> <span>${entry.messageCount || 'Unknown'}</span></div>
             <div class="analysis_row"><span>Input Tokens:</span> <span>${(u.input_tokens || 0).toLocaleString()}</span></div>
             <div class="analysis_row"><span>Output Tokens:</span> <span>${(u.output_tokens || 0).toLocaleString()}</span></div>
             <div class="analysis_row"><span>Cache Read:</span> <span class="good">${(u.cache_read_input_tokens || 0).toLocaleString()}</span></div>
             <div class="analysis_row"><span>Cache Write:</span> <span class="neutral">${(u.cache_creation_input_tokens || 0).toLocaleString()}</span></div>
+            ${u.cache_creation ? `<div class="analysis_row"><span>Write by TTL:</span> <span>5m: ${u.cache_creation.ephemeral_5m_input_tokens.toLocaleString()} | 1h: ${u.cache_creation.ephemeral_1h_input_tokens.toLocaleString()}</span></div>` : ''}
         </div>
     `;
 
+    if (entry.status === 'ERROR' || entry.status === 'ABORTED') {
+        detailHtml += `
+            <div class="analysis_section warning" style="border-left-color: ${entry.status === 'ERROR' ? '#f87171' : '#fbbf24'}">
+                <h4>${entry.status === 'ERROR' ? '✕ Request Failed' : '■ Generation Stopped'}</h4>
+                <div class="analysis_row"><span>Error Type:</span> <span>${escapeHtml(entry.errorType || 'unknown')}</span></div>
+                ${entry.errorMessage ? `<div class="analysis_row"><span>Message:</span> <span>${escapeHtml(entry.errorMessage)}</span></div>` : ''}
+                <div class="analysis_row"><span>Elapsed:</span> <span>${((entry.responseTimeMs || 0) / 1000).toFixed(1)}s</span></div>
+                <p style="margin-top: 10px;">${entry.usage
+                    ? `Partial usage was reported - this request cost ${formatCost(entry.costs?.totalCost || 0)}.`
+                    : 'No usage was reported for this request.'}</p>
+            </div>
+        `;
+    }
+
     if (entry.cacheHit) {
         detailHtml += `
             <div class="analysis_section success">
                 <h4>✓ Cache Hit</h4>
                 <p>The prompt prefix matched the cached version. ${(u.cache_read_input_tokens || 0).toLocaleString()} tokens were read from cache.</p>
+                ${entry.cacheSource ? `<p>Most likely cached by request <b>#${entry.cacheSource.requestId}</b> (last used ${Math.round(entry.cacheSource.ageMs / 1000)}s earlier, ~${entry.cacheSource.sharedTokens.toLocaleString()} tokens shared).</p>` : ''}
             </div>
         `;
     } else if (a) {
@@ -1096,9 +4449,9 @@ function showAnalysisDetail(entry, index) {
             const pd = a.primaryDiagnosis;
             detailHtml += `
                 <div class="analysis_section ${pd.action ? 'warning' : 'success'}" style="border-left-color: ${pd.color}">
-                    <h4>${pd.icon} ${pd.issue}</h4>
-                    <p>${pd.shortMessage}</p>
-                    ${pd.action ? `<p style="margin-top: 10px;"><strong>Recommended Action:</strong> ${pd.action}</p>` : ''}
+                    <h4>${escapeHtml(pd.icon)} ${escapeHtml(pd.issue)}</h4>
+                    <p>${escapeHtml(pd.shortMessage)}</p>
+                    ${pd.action ? `<p style="margin-top: 10px;"><strong>Recommended Action:</strong> ${escapeHtml(pd.action)}</p>` : ''}
                 </div>
             `;
         }
@@ -1107,7 +4460,7 @@ function showAnalysisDetail(entry, index) {
             <div class="analysis_section warning">
                 <h4>⚠ Cache Miss Details</h4>
                 <ul class="analysis_reasons">
-                    ${a.reasons.map(r => `<li>${r}</li>`).join('')}
+                    ${a.reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}
                 </ul>
             </div>
         `;
@@ -1118,20 +4471,18 @@ function showAnalysisDetail(entry, index) {
             detailHtml += `
                 <div class="analysis_section">
                     <h4>Divergence Point</h4>
-                    <p>Message <b>${d.divergeIndex}</b> (${d.role || 'unknown'}) changed at character <b>${diff?.diffIndex || 0}</b></p>
+                    ${d.blockChange
+                        ? `<p>${escapeHtml(d.reason)}</p>`
+                        : `<p>Message <b>${d.divergeIndex}</b> (${d.role || 'unknown'}) changed at character <b>${diff?.diffIndex || 0}</b></p>`}
                     ${diff?.lengthDiff ? `<p class="diff_length">${diff.lengthDiff}</p>` : ''}
-                    ${diff ? `
-                        <div class="diff_container">
-                            <div class="diff_box prev">
-                                <div class="diff_label">Previous content around change:</div>
-                                <div class="diff_content"><span class="diff_match">${escapeHtml(diff.context1.substring(0, diff.markerPos))}</span><span class="diff_changed">${escapeHtml(diff.context1.substring(diff.markerPos))}</span></div>
-                            </div>
-                            <div class="diff_box curr">
-                                <div class="diff_label">Current content around change:</div>
-                                <div class="diff_content"><span class="diff_match">${escapeHtml(diff.context2.substring(0, diff.markerPos))}</span><span class="diff_changed">${escapeHtml(diff.context2.substring(diff.markerPos))}</span></div>
-                            </div>
-                        </div>
-                    ` : ''}
+                    <div class="diff_viewer"></div>
+                </div>
+            `;
+        } else if (a.comparedTo && entry.messageHashes?.length > 0) {
+            detailHtml += `
+                <div class="analysis_section">
+                    <h4>Prompt Diff</h4>
+                    <div class="diff_viewer"></div>
                 </div>
             `;
         }
@@ -1142,14 +4493,14 @@ function showAnalysisDetail(entry, index) {
             detailHtml += `
                 <div class="analysis_section" style="border-left: 3px solid ${lore.type === 'reordering' ? '#f87171' : '#fbbf24'}">
                     <h4>📚 Lorebook Analysis</h4>
-                    <p><strong>Issue:</strong> ${lore.message}</p>
-                    <p><strong>Fix:</strong> ${lore.recommendation}</p>
+                    <p><strong>Issue:</strong> ${escapeHtml(lore.message)}</p>
+                    <p><strong>Fix:</strong> ${escapeHtml(lore.recommendation)}</p>
                     ${lore.details ? `
                         <div style="margin-top: 10px; font-size: 12px;">
-                            ${lore.details.prevOrder ? `<p><span style="color: #f87171;">Previous order:</span> ${lore.details.prevOrder.join(' → ')}</p>` : ''}
-                            ${lore.details.currOrder ? `<p><span style="color: #4ade80;">Current order:</span> ${lore.details.currOrder.join(' → ')}</p>` : ''}
-                            ${lore.details.added?.length > 0 ? `<p><span style="color: #4ade80;">Added:</span> ${lore.details.added.join(', ')}</p>` : ''}
-                            ${lore.details.removed?.length > 0 ? `<p><span style="color: #f87171;">Removed:</span> ${lore.details.removed.join(', ')}</p>` : ''}
+                            ${lore.details.prevOrder ? `<p><span style="color: #f87171;">Previous order:</span> ${escapeHtml(lore.details.prevOrder.join(' → '))}</p>` : ''}
+                            ${lore.details.currOrder ? `<p><span style="color: #4ade80;">Current order:</span> ${escapeHtml(lore.details.currOrder.join(' → '))}</p>` : ''}
+                            ${lore.details.added?.length > 0 ? `<p><span style="color: #4ade80;">Added:</span> ${escapeHtml(lore.details.added.join(', '))}</p>` : ''}
+                            ${lore.details.removed?.length > 0 ? `<p><span style="color: #f87171;">Removed:</span> ${escapeHtml(lore.details.removed.join(', '))}</p>` : ''}
                         </div>
                     ` : ''}
                 </div>
@@ -1164,7 +4515,7 @@ function showAnalysisDetail(entry, index) {
                 <div class="analysis_section">
                     <h4>📍 Divergence Location</h4>
                     <p>Location: <span style="color: ${locColors[loc.location] || '#ccc'}">${loc.location.toUpperCase()}</span> in prompt</p>
-                    <p>Likely cause: ${loc.likelyCause?.replace(/_/g, ' ') || 'Unknown'}</p>
+                    <p>Likely cause: ${escapeHtml(loc.likelyCause?.replace(/_/g, ' ') || 'Unknown')}</p>
                     <p>Severity: <span class="${loc.severity}">${loc.severity.toUpperCase()}</span></p>
                 </div>
             `;
@@ -1172,19 +4523,26 @@ function showAnalysisDetail(entry, index) {
 
         if (a.timeSinceLastRequest) {
             const seconds = Math.round(a.timeSinceLastRequest / 1000);
-            const ttlClass = seconds > 300 ? 'bad' : (seconds > 240 ? 'neutral' : 'good');
+            const ttlSeconds = (a.ttlMs || CACHE_TTLS[DEFAULT_TTL]) / 1000;
+            const ttlClass = seconds > ttlSeconds ? 'bad' : (seconds > ttlSeconds * 0.8 ? 'neutral' : 'good');
             detailHtml += `
                 <div class="analysis_section">
                     <h4>TTL Status</h4>
-                    <p>Time since last request: <span class="${ttlClass}">${seconds}s</span> (TTL: 300s)</p>
+                    <p>Time since last request: <span class="${ttlClass}">${seconds}s</span> (TTL: ${ttlSeconds}s)</p>
+                    ${a.expiredTiers?.length > 0 ? `<p>Expired tiers: <span class="bad">${a.expiredTiers.join(', ')}</span></p>` : ''}
                     <div class="ttl_bar">
-                        <div class="ttl_fill ${ttlClass}" style="width: ${Math.min(100, (seconds / 300) * 100)}%"></div>
+                        <div class="ttl_fill ${ttlClass}" style="width: ${Math.min(100, (seconds / ttlSeconds) * 100)}%"></div>
                     </div>
                 </div>
             `;
         }
     }
 
+    // World Info entries found in the prompt, and how they changed
+    if (entry.loreEntries?.length > 0 || a?.worldInfo?.removed.length > 0) {
+        detailHtml += renderWorldInfoSection(entry.loreEntries || [], a?.worldInfo);
+    }
+
     // Message structure visualization
     if (entry.messageHashes && entry.messageHashes.length > 0) {
         detailHtml += `
@@ -1212,7 +4570,7 @@ function showAnalysisDetail(entry, index) {
         <div class="cache_modal_backdrop"></div>
         <div class="cache_detail_content">
             <div class="cache_modal_header">
-                <h3>Request Analysis #${sessionStats.requestHistory.length - index}</h3>
+                <h3>Request Analysis #${entry.requestId ?? sessionStats.requestHistory.length - index}</h3>
                 <button class="cache_modal_close">&times;</button>
             </div>
             <div class="cache_detail_body">
@@ -1223,10 +4581,340 @@ function showAnalysisDetail(entry, index) {
 
     document.body.appendChild(detail);
 
+    const viewer = detail.querySelector('.diff_viewer');
+    if (viewer) setupDiffViewer(viewer, entry);
+
     detail.querySelector('.cache_modal_backdrop').addEventListener('click', () => detail.remove());
     detail.querySelector('.cache_modal_close').addEventListener('click', () => detail.remove());
 }
 
+/**
+ * Find the request an entry's miss analysis was compared against.
+ * Looks in this session first, then in the saved history.
+ */
+async function findComparedEntry(entry) {
+    const id = entry.analysis?.comparedTo;
+    if (!id) return null;
+
+    const sessionId = entry.sessionId || SESSION_ID;
+    if (sessionId === SESSION_ID) {
+        const match = sessionStats.requestHistory.find(e => e.requestId === id);
+        if (match) return match;
+    }
+    if (!extension_settings[extensionName]?.persistHistory) return null;
+
+    const records = await loadAllPersistedRecords();
+    const record = records.find(r => r.sessionId === sessionId && r.requestId === id);
+    return record ? hydrateHistoryEntry(record) : null;
+}
+
+/**
+ * Check that every message of an entry still has its full content
+ */
+function hasFullPrompt(entry) {
+    return entry?.messageHashes?.length > 0 && entry.messageHashes.every(h => typeof h.fullContent === 'string');
+}
+
+/**
+ * Side-by-side diff of the divergent message or the whole prompt, with
+ * collapsible unchanged regions and change navigation
+ */
+function setupDiffViewer(container, entry) {
+    const divergence = entry.analysis?.divergence;
+    const hasMessage = typeof divergence?.prevContent === 'string' && typeof divergence?.currContent === 'string';
+    let mode = hasMessage ? 'message' : 'prompt';
+    let granularity = 'word';
+    let changeCount = 0;
+    let current = -1;
+    let renderId = 0;
+    let comparedEntry = null;
+
+    container.innerHTML = `
+        <div class="diff_toolbar">
+            <select class="diff_mode text_pole">
+                <option value="message" ${hasMessage ? '' : 'disabled'}>Divergent message</option>
+                <option value="prompt">Full prompt</option>
+            </select>
+            <select class="diff_granularity text_pole">
+                <option value="word">Words</option>
+                <option value="line">Lines</option>
+            </select>
+            <button class="menu_button diff_prev" title="Previous change">▲</button>
+            <button class="menu_button diff_next" title="Next change">▼</button>
+            <span class="diff_counter"></span>
+            <button class="menu_button diff_expand_all">Expand all</button>
+        </div>
+        <div class="diff_note"></div>
+        <div class="diff_container side_by_side">
+            <div class="diff_box prev">
+                <div class="diff_label">Previous${entry.analysis?.comparedTo ? ` (#${entry.analysis.comparedTo})` : ''}</div>
+                <div class="diff_content"></div>
+            </div>
+            <div class="diff_box curr">
+                <div class="diff_label">Current (#${entry.requestId ?? '?'})</div>
+                <div class="diff_content"></div>
+            </div>
+        </div>
+    `;
+
+    const note = container.querySelector('.diff_note');
+    const counter = container.querySelector('.diff_counter');
+    const panes = container.querySelectorAll('.diff_content');
+    container.querySelector('.diff_mode').value = mode;
+
+    const updateCounter = () => {
+        counter.textContent = changeCount === 0
+            ? 'No changes'
+            : `${current >= 0 ? `Change ${current + 1} of ` : ''}${changeCount} change${changeCount === 1 ? '' : 's'}`;
+    };
+
+    const jumpTo = (index, reveal = true) => {
+        if (changeCount === 0) return;
+        current = (index + changeCount) % changeCount;
+        for (const pane of panes) {
+            pane.querySelectorAll('.diff_anchor.current').forEach(el => el.classList.remove('current'));
+            const anchor = pane.querySelector(`.diff_anchor[data-change="${current}"]`);
+            if (!anchor) continue;
+            anchor.classList.add('current');
+            pane.scrollTop = Math.max(0, anchor.offsetTop - 40);
+        }
+        if (reveal) container.scrollIntoView({ block: 'nearest' });
+        updateCounter();
+    };
+
+    const render = async () => {
+        const id = ++renderId;
+        note.textContent = 'Loading...';
+        panes.forEach(pane => { pane.innerHTML = ''; });
+        changeCount = 0;
+        current = -1;
+        counter.textContent = '';
+
+        let prevText;
+        let currText;
+        if (mode === 'message') {
+            prevText = divergence.prevContent;
+            currText = divergence.currContent;
+        } else {
+            try {
+                comparedEntry = comparedEntry || await findComparedEntry(entry);
+            } catch (e) {
+                log('Error loading compared request:', e);
+            }
+            if (id !== renderId) return;
+            if (!hasFullPrompt(entry) || !hasFullPrompt(comparedEntry)) {
+                note.textContent = 'The previous request\'s prompt is no longer available';
+                return;
+            }
+            prevText = serializePrompt(comparedEntry.messageHashes);
+            currText = serializePrompt(entry.messageHashes);
+        }
+
+        const result = computeTextDiff(prevText, currText, granularity);
+        const html = renderDiffPanes(result.ops);
+        panes[0].innerHTML = html.prevHtml;
+        panes[1].innerHTML = html.currHtml;
+        changeCount = html.changeCount;
+
+        if (result.approximate) {
+            note.textContent = 'Too many changes for a precise diff - showing the changed section as a whole';
+        } else if (result.granularity !== granularity) {
+            note.textContent = 'Too many word changes - showing a line diff';
+        } else {
+            note.textContent = '';
+        }
+        updateCounter();
+        if (changeCount > 0) jumpTo(0, false);
+    };
+
+    container.querySelector('.diff_mode').addEventListener('change', function () {
+        mode = this.value;
+        render();
+    });
+    container.querySelector('.diff_granularity').addEventListener('change', function () {
+        granularity = this.value;
+        render();
+    });
+    container.querySelector('.diff_prev').addEventListener('click', () => jumpTo(current - 1));
+    container.querySelector('.diff_next').addEventListener('click', () => jumpTo(current + 1));
+    container.querySelector('.diff_expand_all').addEventListener('click', () => {
+        container.querySelectorAll('.diff_collapsed').forEach(el => el.classList.add('expanded'));
+    });
+
+    // Expanding a region in one pane expands it in both
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.diff_expand');
+        if (!button) return;
+        container.querySelectorAll(`.diff_collapsed[data-region="${button.dataset.region}"]`)
+            .forEach(el => el.classList.add('expanded'));
+    });
+
+    render();
+}
+
+/**
+ * Format a breakpoint's remaining warm time
+ */
+function formatBreakpointCountdown(state) {
+    const lastActivity = Math.max(state?.lastWriteAt || 0, state?.lastReadAt || 0);
+    if (!lastActivity) return { text: 'Never cached', className: 'bad' };
+
+    const remaining = getTtlMs(state.ttl) - (Date.now() - lastActivity);
+    if (remaining <= 0) return { text: 'COLD', className: 'bad' };
+
+    const remainingSec = Math.floor(remaining / 1000);
+    const min = Math.floor(remainingSec / 60);
+    const sec = remainingSec % 60;
+    return {
+        text: `${min}:${sec.toString().padStart(2, '0')}`,
+        className: remaining < 60000 ? 'bad' : (remaining < 120000 ? 'neutral' : 'good'),
+    };
+}
+
+/**
+ * Show the breakpoint map for the most recent request
+ */
+function showBreakpointMap() {
+    const existing = document.getElementById('cache_breakpoint_modal');
+    if (existing) existing.remove();
+
+    const statusLabels = { read: 'READ', write: 'WRITE', none: '--' };
+    const minTokens = getCacheMinimum(sessionStats.lastUsage?.model);
+    const rows = currentBreakpoints.map((bp, i) => {
+        const state = breakpointState.get(bp.prefixHash);
+        return `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${escapeHtml(bp.label)}</td>
+                <td>${bp.ttl}</td>
+                <td>~${bp.prefixTokens.toLocaleString()}${minTokens && bp.prefixTokens < minTokens ? ` <span class="bad" title="Below the model's ${minTokens.toLocaleString()}-token minimum - never cached">(too short)</span>` : ''}</td>
+                <td class="${bp.status === 'read' ? 'good' : 'neutral'}">${statusLabels[bp.status] || '--'}</td>
+                <td>${state?.lastWriteAt ? formatTime(state.lastWriteAt) : '--'}</td>
+                <td>${state?.lastReadAt ? formatTime(state.lastReadAt) : '--'}</td>
+                <td class="bp_countdown" data-bp-hash="${bp.prefixHash}">--</td>
+            </tr>
+        `;
+    }).join('');
+
+    const modal = document.createElement('div');
+    modal.id = 'cache_breakpoint_modal';
+    modal.innerHTML = `
+        <div class="cache_modal_backdrop"></div>
+        <div class="cache_detail_content">
+            <div class="cache_modal_header">
+                <h3>Breakpoint Map</h3>
+                <button class="cache_modal_close">&times;</button>
+            </div>
+            <div class="cache_detail_body">
+                ${currentBreakpoints.length > 0 ? `
+                    <table class="cache_history_table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Location</th>
+                                <th>TTL</th>
+                                <th>Prefix</th>
+                                <th>Last Request</th>
+                                <th>Last Write</th>
+                                <th>Last Read</th>
+                                <th>Warm For</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <p class="structure_legend">Prefix sizes are estimated locally.${minTokens ? ` This model caches prefixes of at least ${minTokens.toLocaleString()} tokens.` : ''}</p>
+                ` : '<p style="text-align: center; opacity: 0.7;">No cache_control breakpoints in the last request</p>'}
+                ${renderPlacementAdvisor()}
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    updateBreakpointCountdowns();
+
+    modal.querySelector('.cache_modal_backdrop').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cache_modal_close').addEventListener('click', () => modal.remove());
+}
+
+/**
+ * Render the breakpoint placement advisor section of the breakpoint map
+ */
+function renderPlacementAdvisor() {
+    const advice = analyzeBreakpointPlacement();
+    if (!advice) {
+        return `
+            <div class="analysis_section">
+                <h4>Placement Advisor</h4>
+                <p style="opacity: 0.7;">Needs at least two completed requests to compare.</p>
+            </div>
+        `;
+    }
+
+    const { current, proposed } = advice;
+    const difference = current.cost - proposed.cost;
+    const unchanged = advice.segments.every(seg => !!seg.cacheControl === seg.recommended);
+    const recommendedList = advice.recommended.length > 0
+        ? advice.recommended.map(i => {
+            const seg = advice.segments[i];
+            return `<li>★ ${escapeHtml(seg.label)}${seg.segment === 'messages' ? ` (${seg.fromEnd} from the end)` : ''} - ~${seg.prefixTokens.toLocaleString()} token prefix, changed in ${Math.round(seg.changeRate * 100)}% of requests</li>`;
+        }).join('')
+        : '<li>No breakpoints - nothing stays stable long enough to pay for its cache writes</li>';
+
+    const rows = advice.segments.map(seg => {
+        const rate = Math.round(seg.changeRate * 100);
+        return `
+            <tr class="${seg.recommended ? 'advisor_recommended' : ''}">
+                <td>${seg.index}</td>
+                <td>${escapeHtml(seg.label)}</td>
+                <td>~${seg.tokens.toLocaleString()}</td>
+                <td>~${seg.prefixTokens.toLocaleString()}</td>
+                <td class="${rate === 0 ? 'good' : rate < 50 ? 'neutral' : 'bad'}">${rate}%</td>
+                <td>${seg.cacheControl ? '⚡' : ''}</td>
+                <td>${seg.recommended ? '★' : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="analysis_section">
+            <h4>Placement Advisor</h4>
+            <p>Based on ${advice.pairCount} consecutive request pair${advice.pairCount === 1 ? '' : 's'} (${advice.ttl} TTL).
+                ${unchanged ? 'Your current breakpoints are already the best placement found.' : 'Recommended breakpoints:'}</p>
+            ${unchanged ? '' : `<ul class="advisor_list">${recommendedList}</ul>`}
+            <div class="analysis_row"><span>Current placement:</span> <span>~${Math.round(current.readTokens).toLocaleString()} cached tokens, ${formatCost(current.cost)} input cost per request</span></div>
+            <div class="analysis_row"><span>Recommended placement:</span> <span>~${Math.round(proposed.readTokens).toLocaleString()} cached tokens, ${formatCost(proposed.cost)} input cost per request</span></div>
+            <div class="analysis_row"><span>Estimated difference:</span> <span class="${difference > 0 ? 'good' : ''}">${difference > 0 ? `${formatCost(difference)} saved per request (${formatCost(difference * 100)} per 100)` : 'none'}</span></div>
+            <table class="cache_history_table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Segment</th>
+                        <th>Tokens</th>
+                        <th>Prefix</th>
+                        <th>Changed</th>
+                        <th>Now</th>
+                        <th>Advised</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="structure_legend">"Changed" is how often the prefix up to a segment differed from the previous request. Estimates assume the same positions (counted from the start of the prompt) on every request and price input tokens only.</p>
+        </div>
+    `;
+}
+
+/**
+ * Refresh the live countdowns in the breakpoint map, if open
+ */
+function updateBreakpointCountdowns() {
+    const cells = document.querySelectorAll('#cache_breakpoint_modal .bp_countdown');
+    for (const cell of cells) {
+        const countdown = formatBreakpointCountdown(breakpointState.get(cell.dataset.bpHash));
+        cell.textContent = countdown.text;
+        cell.className = `bp_countdown ${countdown.className}`;
+    }
+}
+
 /**
  * Escape HTML special characters
  */
@@ -1239,20 +4927,434 @@ function escapeHtml(str) {
         .replace(/'/g, '&#039;');
 }
 
-/**
- * Save usage data to the current chat message
- */
-function saveUsageToMessage(usage) {
-    if (!chat || chat.length === 0) return;
+/**
+ * Generation types whose reply is not saved as a chat message
+ */
+const NON_MESSAGE_GENERATION_TYPES = ['quiet', 'background', 'impersonate'];
+
+// MESSAGE_RECEIVED types that don't come from a generation
+const NON_GENERATED_MESSAGE_TYPES = ['first_message', 'command'];
+
+// Usage and the message it produced arrive in either order; whichever comes
+// first waits here for the other, for at most MESSAGE_BINDING_WINDOW_MS
+const MESSAGE_BINDING_WINDOW_MS = 60000;
+let usageAwaitingMessage = null; // { record, requestId, at }
+let messageAwaitingUsage = null; // { messageId, requestId, at }
+let latestMessageRequestId = null; // Last request sent for a generation that produces a message
+
+/**
+ * Badge text per cache status
+ */
+const messageBadgeLabels = { hit: 'HIT', write: 'WRITE', miss: 'MISS', error: 'ERR', aborted: 'STOP' };
+
+/**
+ * Build the cache record saved with a chat message (and its swipe)
+ */
+function buildMessageCacheRecord(entry) {
+    const u = entry.usage || {};
+    const status = entry.status && entry.status !== 'OK'
+        ? entry.status.toLowerCase()
+        : entry.cacheHit ? 'hit' : entry.cacheWrite ? 'write' : 'miss';
+    return {
+        requestId: entry.requestId,
+        generationType: entry.generationType || null,
+        status,
+        model: u.model || entry.model || null,
+        inputTokens: u.input_tokens || 0,
+        outputTokens: u.output_tokens || 0,
+        cacheReadTokens: u.cache_read_input_tokens || 0,
+        cacheWriteTokens: u.cache_creation_input_tokens || 0,
+        cost: entry.costs?.totalCost ?? null,
+        savings: entry.costs?.savings ?? null,
+        diagnosis: entry.analysis?.primaryDiagnosis?.issue || null,
+        timestamp: entry.timestamp,
+    };
+}
+
+/**
+ * Bind a request's usage to the chat message it produced. If SillyTavern
+ * hasn't reported that message yet, wait for MESSAGE_RECEIVED.
+ */
+function bindUsageToMessage(entry) {
+    if (NON_MESSAGE_GENERATION_TYPES.includes(entry.generationType)) return;
+
+    const record = buildMessageCacheRecord(entry);
+    const waiting = messageAwaitingUsage;
+    if (waiting && waiting.requestId === entry.requestId && Date.now() - waiting.at < MESSAGE_BINDING_WINDOW_MS) {
+        messageAwaitingUsage = null;
+        attachCacheRecord(waiting.messageId, record);
+    } else {
+        usageAwaitingMessage = { record, requestId: entry.requestId, at: Date.now() };
+    }
+}
+
+/**
+ * Remember the latest request whose generation should produce a chat message
+ */
+function noteMessageRequest(ctx) {
+    if (!NON_MESSAGE_GENERATION_TYPES.includes(ctx.tags.generationType)) {
+        latestMessageRequestId = ctx.id;
+    }
+}
+
+/**
+ * Handle SillyTavern's MESSAGE_RECEIVED: attach usage that already arrived
+ * for the generation's request, or remember the message until the in-flight
+ * request's usage does
+ */
+function onMessageReceived(messageId, type) {
+    if (NON_GENERATED_MESSAGE_TYPES.includes(type)) return;
+
+    const id = Number(messageId);
+    const pending = usageAwaitingMessage;
+    usageAwaitingMessage = null;
+    // Usage from an earlier generation that ended without a message doesn't belong here
+    if (pending && pending.requestId === latestMessageRequestId && Date.now() - pending.at < MESSAGE_BINDING_WINDOW_MS) {
+        attachCacheRecord(id, pending.record);
+        return;
+    }
+
+    const inFlight = [...activeRequests.values()].reverse()
+        .find(ctx => !NON_MESSAGE_GENERATION_TYPES.includes(ctx.tags.generationType));
+    if (inFlight) {
+        messageAwaitingUsage = { messageId: id, requestId: inFlight.id, at: Date.now() };
+    }
+}
+
+/**
+ * Save a cache record on a message and on its current swipe, so each swipe
+ * keeps its own numbers in the chat file. Continues add to the record of the
+ * message they extend; anything else replaces it.
+ */
+function attachCacheRecord(messageId, record) {
+    const message = chat[messageId];
+    if (!message || message.is_user || message.is_system) return;
+
+    const existing = message.extra?.cache_monitor;
+    const requests = record.generationType === 'continue' && existing?.requests ? [...existing.requests, record] : [record];
+    message.extra = message.extra || {};
+    message.extra.cache_monitor = { requests };
+
+    const swipe = message.swipe_info?.[message.swipe_id ?? 0];
+    if (swipe) {
+        swipe.extra = swipe.extra || {};
+        swipe.extra.cache_monitor = structuredClone(message.extra.cache_monitor);
+    }
+
+    log(`Bound request #${record.requestId} to message ${messageId}, swipe ${message.swipe_id ?? 0}`);
+    saveChatDebounced();
+    renderMessageBadge(messageId);
+}
+
+/**
+ * Get a message's cache records, including the flat usage fields older
+ * versions wrote into message.extra
+ */
+function getMessageCacheData(message) {
+    const extra = message?.extra;
+    if (extra?.cache_monitor?.requests?.length > 0) return extra.cache_monitor;
+    if (typeof extra?.cache_read_input_tokens !== 'number') return null;
+
+    const read = extra.cache_read_input_tokens || 0;
+    const write = extra.cache_creation_input_tokens || 0;
+    return {
+        requests: [{
+            status: read > 0 ? 'hit' : write > 0 ? 'write' : 'miss',
+            inputTokens: extra.input_tokens || 0,
+            outputTokens: extra.output_tokens || 0,
+            cacheReadTokens: read,
+            cacheWriteTokens: write,
+            cost: null,
+            savings: null,
+        }],
+    };
+}
+
+/**
+ * Render the cache badge in a message's header
+ */
+function renderMessageBadge(messageId) {
+    const mes = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (!mes) return;
+    mes.querySelector('.cache_msg_badge')?.remove();
+
+    const data = getMessageCacheData(chat[messageId]);
+    if (!data) return;
+
+    const latest = data.requests[data.requests.length - 1];
+    const lines = data.requests.map(r => [
+        `${r.requestId ? `Request #${r.requestId}` : 'Request'}${r.generationType ? ` (${formatGenerationType(r.generationType)})` : ''}: ${r.status.toUpperCase()}`,
+        `Input ${r.inputTokens.toLocaleString()} | Read ${r.cacheReadTokens.toLocaleString()} | Write ${r.cacheWriteTokens.toLocaleString()} | Output ${r.outputTokens.toLocaleString()}`,
+        r.cost !== null ? `Cost ${formatCost(r.cost)}${r.savings ? ` (saved ${formatCost(r.savings)})` : ''}` : null,
+        r.diagnosis && r.status !== 'hit' ? `Diagnosis: ${r.diagnosis}` : null,
+    ].filter(Boolean).join('\n'));
+
+    const badge = document.createElement('span');
+    badge.className = `cache_msg_badge ${latest.status}`;
+    badge.textContent = messageBadgeLabels[latest.status] || latest.status.toUpperCase();
+    badge.title = lines.join('\n\n');
+
+    const nameText = mes.querySelector('.ch_name .name_text');
+    (nameText?.parentElement || mes.querySelector('.ch_name'))?.appendChild(badge);
+}
+
+/**
+ * Render the cache badges of every message on screen
+ */
+function renderAllMessageBadges() {
+    if (!chat) return;
+    chat.forEach((_, i) => renderMessageBadge(i));
+}
+
+/**
+ * Listen for SillyTavern's message events to bind usage to messages and keep badges current
+ */
+function trackMessageEvents() {
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
+    // A generation that ended without a message leaves nothing to bind; a new chat has other message IDs
+    const dropUsage = () => {
+        usageAwaitingMessage = null;
+        latestMessageRequestId = null; // Usage arriving after this has no message coming
+    };
+    eventSource.on(event_types.GENERATION_ENDED, dropUsage);
+    eventSource.on(event_types.GENERATION_STOPPED, dropUsage);
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        usageAwaitingMessage = null;
+        messageAwaitingUsage = null;
+    });
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, renderMessageBadge);
+    // Swiping swaps message.extra for the selected swipe's
+    eventSource.on(event_types.MESSAGE_SWIPED, renderMessageBadge);
+    eventSource.on(event_types.MESSAGE_UPDATED, renderMessageBadge);
+    for (const event of [event_types.CHAT_CHANGED, event_types.MORE_MESSAGES_LOADED]) {
+        if (event) eventSource.on(event, renderAllMessageBadges);
+    }
+}
+
+/**
+ * Rebuild a cache timeline for the loaded chat from the records saved with its
+ * messages and swipes (including the flat fields older versions wrote).
+ * Costs missing from old records are estimated from the message's model.
+ */
+function buildChatReport(messages) {
+    const points = [];
+
+    (messages || []).forEach((message, messageIndex) => {
+        if (!message || message.is_user || message.is_system) return;
+
+        const currentSwipe = message.swipe_id ?? 0;
+        const swipes = message.swipe_info?.length > 0 ? message.swipe_info : [message];
+        swipes.forEach((swipe, swipeIndex) => {
+            const isCurrent = swipes.length === 1 || swipeIndex === currentSwipe;
+            // The selected swipe's record lives on the message; older versions never updated swipe_info
+            const data = (isCurrent ? getMessageCacheData(message) : null) || getMessageCacheData(swipe);
+            if (!data) return;
+
+            for (const r of data.requests) {
+                const model = r.model || swipe.extra?.model || message.extra?.model || '';
+                const estimated = r.cost === null || r.cost === undefined;
+                const costs = estimated ? calculateCosts({
+                    model,
+                    input_tokens: r.inputTokens,
+                    output_tokens: r.outputTokens,
+                    cache_read_input_tokens: r.cacheReadTokens,
+                    cache_creation_input_tokens: r.cacheWriteTokens,
+                }) : null;
+                points.push({
+                    messageIndex,
+                    swipe: swipes.length > 1 ? swipeIndex : null,
+                    isCurrent,
+                    name: message.name || '',
+                    time: r.timestamp ? formatTime(r.timestamp) : (swipe.send_date || message.send_date || ''),
+                    ...r,
+                    cost: estimated ? costs.totalCost : r.cost,
+                    savings: estimated ? costs.savings : (r.savings || 0),
+                    estimated,
+                });
+            }
+        });
+    });
+
+    // Stretches of consecutive requests that read nothing from cache
+    const threshold = extension_settings[extensionName]?.wasteThreshold || 3;
+    const streaks = [];
+    let run = [];
+    const closeRun = () => {
+        if (run.length >= threshold) {
+            streaks.push({
+                start: run[0],
+                end: run[run.length - 1],
+                count: run.length,
+                cost: run.reduce((sum, i) => sum + (points[i].cost || 0), 0),
+            });
+        }
+        run = [];
+    };
+    points.forEach((point, i) => {
+        if (point.status === 'miss' || point.status === 'write') run.push(i);
+        else if (point.status === 'hit') closeRun();
+    });
+    closeRun();
+
+    const sum = field => points.reduce((total, p) => total + (p[field] || 0), 0);
+    const inputTokens = points.reduce((total, p) => total + Math.max(p.inputTokens, p.cacheReadTokens + p.cacheWriteTokens), 0);
+    return {
+        points,
+        streaks,
+        threshold,
+        requests: points.length,
+        hits: points.filter(p => p.status === 'hit').length,
+        writes: points.filter(p => p.status === 'write').length,
+        misses: points.filter(p => p.status === 'miss').length,
+        cacheReadTokens: sum('cacheReadTokens'),
+        cacheWriteTokens: sum('cacheWriteTokens'),
+        hitRate: inputTokens > 0 ? sum('cacheReadTokens') / inputTokens : null,
+        totalCost: sum('cost'),
+        savings: sum('savings'),
+        estimatedCount: points.filter(p => p.estimated).length,
+    };
+}
+
+/**
+ * Chart cache read vs. write tokens per request as an SVG bar chart, with
+ * repeated-miss stretches shaded
+ */
+function renderChatReportChart(report) {
+    const { points, streaks } = report;
+    const width = 800;
+    const height = 160;
+    const top = 14;
+    const slot = width / points.length;
+    const bar = Math.max(1, slot * 0.4);
+    const max = Math.max(1, ...points.map(p => Math.max(p.cacheReadTokens, p.cacheWriteTokens)));
+    const y = value => height - (value / max) * (height - top);
+
+    const shading = streaks.map(streak => `
+        <rect x="${streak.start * slot}" y="0" width="${(streak.end - streak.start + 1) * slot}" height="${height}" class="chat_report_streak">
+            <title>${streak.count} requests without a cache read (${formatCost(streak.cost)})</title>
+        </rect>
+    `).join('');
+    const bars = points.map((p, i) => {
+        const label = `Message ${p.messageIndex}${p.swipe !== null ? `, swipe ${p.swipe}` : ''}: read ${p.cacheReadTokens.toLocaleString()}, write ${p.cacheWriteTokens.toLocaleString()}`;
+        return `
+            <g>
+                <title>${escapeHtml(label)}</title>
+                <rect x="${i * slot + slot * 0.1}" y="${y(p.cacheReadTokens)}" width="${bar}" height="${height - y(p.cacheReadTokens)}" class="chat_report_read" />
+                <rect x="${i * slot + slot * 0.1 + bar}" y="${y(p.cacheWriteTokens)}" width="${bar}" height="${height - y(p.cacheWriteTokens)}" class="chat_report_write" />
+            </g>
+        `;
+    }).join('');
+
+    return `
+        <svg class="chat_report_chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            ${shading}
+            ${bars}
+            <text x="2" y="10" class="chat_report_axis">${max.toLocaleString()} tokens</text>
+        </svg>
+        <p class="structure_legend">
+            <span class="legend_item"><span class="chat_report_swatch read"></span> Cache read</span>
+            <span class="legend_item"><span class="chat_report_swatch write"></span> Cache write</span>
+            ${streaks.length > 0 ? `<span class="legend_item"><span class="chat_report_swatch streak"></span> ${report.threshold}+ requests in a row without a cache read</span>` : ''}
+        </p>
+    `;
+}
+
+/**
+ * Show the retrospective cache report for the loaded chat
+ */
+function showChatReport() {
+    const existing = document.getElementById('cache_chat_report_modal');
+    if (existing) existing.remove();
+
+    const report = buildChatReport(chat);
+    const statusClasses = { hit: 'good', write: 'neutral', miss: 'bad', error: 'bad', aborted: 'neutral' };
+    const streakOf = i => report.streaks.find(streak => i >= streak.start && i <= streak.end);
+
+    let body;
+    if (report.requests === 0) {
+        body = '<p style="text-align: center; opacity: 0.7;">No cache data saved in this chat\'s messages</p>';
+    } else {
+        const hitClass = report.hitRate === null ? '' : (report.hitRate >= 0.7 ? 'good' : (report.hitRate >= 0.4 ? 'neutral' : 'bad'));
+        body = `
+            <div class="analysis_section">
+                <h4>Summary</h4>
+                <div class="analysis_row"><span>Requests:</span> <span>${report.requests} (${report.hits} hit, ${report.writes} write, ${report.misses} miss)</span></div>
+                <div class="analysis_row"><span>Hit Rate:</span> <span class="${hitClass}">${report.hitRate === null ? '--' : `${Math.round(report.hitRate * 100)}%`}</span></div>
+                <div class="analysis_row"><span>Cache Read:</span> <span class="good">${report.cacheReadTokens.toLocaleString()}</span></div>
+                <div class="analysis_row"><span>Cache Write:</span> <span class="neutral">${report.cacheWriteTokens.toLocaleString()}</span></div>
+                <div class="analysis_row"><span>Cost:</span> <span>${formatCost(report.totalCost)}${report.estimatedCount > 0 ? ` <small>(${report.estimatedCount} estimated from current pricing)</small>` : ''}</span></div>
+                <div class="analysis_row"><span>Savings:</span> <span class="good">${formatCost(report.savings)}</span></div>
+            </div>
+            <div class="analysis_section">
+                <h4>Cache Read vs. Write</h4>
+                ${renderChatReportChart(report)}
+            </div>
+            ${report.streaks.length > 0 ? `
+                <div class="analysis_section warning">
+                    <h4>⚠ Repeated Misses</h4>
+                    <ul class="analysis_reasons">
+                        ${report.streaks.map(streak => `<li>Messages ${report.points[streak.start].messageIndex}–${report.points[streak.end].messageIndex}: ${streak.count} requests in a row without a cache read, costing ${formatCost(streak.cost)}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            <div class="analysis_section">
+                <h4>Timeline</h4>
+                <table class="cache_history_table">
+                    <thead>
+                        <tr>
+                            <th>Msg</th>
+                            <th>Swipe</th>
+                            <th>Name</th>
+                            <th>Time</th>
+                            <th>Type</th>
+                            <th>Input</th>
+                            <th>Cache Read</th>
+                            <th>Cache Write</th>
+                            <th>Status</th>
+                            <th>Cost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.points.map((p, i) => `
+                            <tr class="${streakOf(i) ? 'chat_report_streak_row' : ''}${p.isCurrent ? '' : ' chat_report_hidden_swipe'}">
+                                <td>${p.messageIndex}</td>
+                                <td>${p.swipe ?? '--'}</td>
+                                <td class="analysis-cell">${escapeHtml(p.name)}</td>
+                                <td>${escapeHtml(String(p.time))}</td>
+                                <td>${p.generationType ? escapeHtml(formatGenerationType(p.generationType)) : '--'}</td>
+                                <td>${p.inputTokens.toLocaleString()}</td>
+                                <td class="good">${p.cacheReadTokens.toLocaleString()}</td>
+                                <td class="neutral">${p.cacheWriteTokens.toLocaleString()}</td>
+                                <td class="${statusClasses[p.status] || ''}">${p.status.toUpperCase()}</td>
+                                <td>${formatCost(p.cost)}${p.estimated ? '*' : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="structure_legend">Swipes that aren't selected are dimmed.${report.estimatedCount > 0 ? ' * Estimated from current pricing (saved by an older version without costs).' : ''}</p>
+            </div>
+        `;
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'cache_chat_report_modal';
+    modal.innerHTML = `
+        <div class="cache_modal_backdrop"></div>
+        <div class="cache_detail_content">
+            <div class="cache_modal_header">
+                <h3>Chat Cache Report</h3>
+                <button class="cache_modal_close">&times;</button>
+            </div>
+            <div class="cache_detail_body">
+                ${body}
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
 
-    const lastMessage = chat[chat.length - 1];
-    if (lastMessage && !lastMessage.is_user) {
-        if (!lastMessage.extra) lastMessage.extra = {};
-        lastMessage.extra.cache_read_input_tokens = usage.cache_read_input_tokens;
-        lastMessage.extra.cache_creation_input_tokens = usage.cache_creation_input_tokens;
-        lastMessage.extra.input_tokens = usage.input_tokens;
-        lastMessage.extra.output_tokens = usage.output_tokens;
-    }
+    modal.querySelector('.cache_modal_backdrop').addEventListener('click', () => modal.remove());
+    modal.querySelector('.cache_modal_close').addEventListener('click', () => modal.remove());
 }
 
 /**
@@ -1277,13 +5379,25 @@ function setupFetchInterceptor() {
 
         // Check if streaming and capture messages
         let isStreaming = false;
+        let requestModel = '';
         let requestMessages = null;
+        let requestCacheTtls = [];
+        let requestSegments = [];
+        let requestBreakpoints = [];
+        let requestPrefixParts = null;
+        let requestBody = null;
         try {
             if (options?.body) {
                 const body = JSON.parse(options.body);
+                requestBody = body;
                 isStreaming = body.stream === true;
+                requestModel = body.model || '';
                 // SillyTavern may nest messages in different places
                 requestMessages = body.messages || body.prompt?.messages || null;
+                requestCacheTtls = collectCacheTtls(body);
+                requestSegments = extractPromptSegments(body);
+                requestBreakpoints = extractBreakpoints(requestSegments);
+                requestPrefixParts = hashPrefixParts(body);
                 log('Request body keys:', Object.keys(body));
                 log('Request streaming:', isStreaming, 'Messages:', requestMessages?.length || 0);
                 if (requestMessages && requestMessages.length > 0) {
@@ -1295,14 +5409,72 @@ function setupFetchInterceptor() {
             log('Could not parse request body:', e.message);
         }
 
-        currentRequest.active = true;
-        currentRequest.startTime = Date.now();
-        currentRequest.usage = null;
-        currentRequest.messages = requestMessages;
+        // Tag the request and predict its cache outcome before it goes out.
+        // A failure here only loses the analysis, never the request.
+        const tags = { generationType: 'background' };
+        let prediction = null;
+        try {
+            tags.generationType = getGenerationType(requestBody);
+            Object.assign(tags, getChatTags(requestBody));
+            prediction = predictCacheOutcome(requestModel, requestSegments, requestBreakpoints, Date.now(), requestPrefixParts);
+            if (prediction) log('Predicted cache outcome:', prediction);
+        } catch (e) {
+            log('Pre-send analysis failed:', e);
+        }
+
+        // Budget / waste / rewrite hard stop: hold the request until the user decides
+        if (!(await confirmHeldRequest(prediction))) {
+            log('Request cancelled at hard stop');
+            toastr.info('Request cancelled', 'Cache Monitor');
+            throw new DOMException('Request cancelled by Cache Monitor', 'AbortError');
+        }
+
+        const ctx = createRequestContext({
+            model: requestModel,
+            messages: requestMessages,
+            cacheTtls: requestCacheTtls,
+            breakpoints: requestBreakpoints,
+            segments: requestSegments,
+            prefixParts: requestPrefixParts,
+            tags,
+        });
+        ctx.prediction = prediction;
+        noteMessageRequest(ctx);
+        updatePredictionLine();
+
+        let response;
+        try {
+            response = await originalFetch.apply(this, args);
+        } catch (error) {
+            recordRequestFailure(ctx, classifyError(error));
+            finishRequestContext(ctx);
+            throw error;
+        }
 
-        const response = await originalFetch.apply(this, args);
+        log(`Response status for request #${ctx.id}:`, response.status);
 
-        log('Response status:', response.status);
+        if (!response.ok) {
+            // HTTP error - record it with whatever the error body says
+            let failure = {
+                status: 'ERROR',
+                errorType: `http_${response.status}`,
+                errorMessage: response.statusText || '',
+            };
+            try {
+                const text = await response.clone().text();
+                try {
+                    const parsed = parseErrorFromData(JSON.parse(text));
+                    if (parsed) failure = { ...parsed, errorType: `http_${response.status}: ${parsed.errorType}` };
+                } catch (e) {
+                    if (text) failure.errorMessage = text.substring(0, 500);
+                }
+            } catch (e) {
+                log('Could not read error response:', e);
+            }
+            recordRequestFailure(ctx, failure);
+            finishRequestContext(ctx);
+            return response;
+        }
 
         if (!isStreaming) {
             // Non-streaming: clone and read response
@@ -1311,13 +5483,15 @@ function setupFetchInterceptor() {
                 const data = await cloned.json();
                 log('Non-streaming response:', data);
 
+                const usage = parseUsageFromData(data);
+
                 // Check if this is an OpenRouter response (has generation id starting with "gen-")
                 const isOpenRouter = data.id && data.id.startsWith('gen-');
-                let cacheRead = data.usage?.cache_read_input_tokens || 0;
-                let cacheWrite = data.usage?.cache_creation_input_tokens || 0;
+                let cacheRead = usage?.cache_read_input_tokens || 0;
+                let cacheWrite = usage?.cache_creation_input_tokens || 0;
 
                 // If OpenRouter and no cache data in response, fetch from their API
-                if (isOpenRouter && cacheRead === 0 && cacheWrite === 0 && /claude/i.test(data.model)) {
+                if (usage && isOpenRouter && cacheRead === 0 && cacheWrite === 0 && usage.provider === 'claude') {
                     log('Fetching OpenRouter generation stats for:', data.id);
                     const genStats = await fetchOpenRouterGenerationStats(data.id);
                     if (genStats) {
@@ -1333,21 +5507,22 @@ function setupFetchInterceptor() {
                             cacheWrite = genStats.native_tokens_prompt || 0;
                         }
                         log('OpenRouter cache stats - read:', cacheRead, 'write:', cacheWrite);
+                        usage.cache_read_input_tokens = cacheRead;
+                        usage.cache_creation_input_tokens = cacheWrite;
                     }
                 }
 
-                if (data.usage) {
-                    processUsageData({
-                        model: data.model || '',
-                        input_tokens: data.usage.prompt_tokens || data.usage.input_tokens || 0,
-                        output_tokens: data.usage.completion_tokens || data.usage.output_tokens || 0,
-                        cache_read_input_tokens: cacheRead,
-                        cache_creation_input_tokens: cacheWrite,
-                    });
+                const failure = parseErrorFromData(data);
+                if (!(usage && processUsageData(usage, ctx, failure)) && failure) {
+                    recordRequestFailure(ctx, failure);
                 }
             } catch (e) {
                 log('Could not parse non-streaming response:', e);
+                recordRequestFailure(ctx, e?.name === 'AbortError'
+                    ? classifyError(e)
+                    : { status: 'ERROR', errorType: 'parse_error', errorMessage: e?.message || String(e) });
             }
+            finishRequestContext(ctx);
             return response;
         }
 
@@ -1355,13 +5530,32 @@ function setupFetchInterceptor() {
         const originalBody = response.body;
         if (!originalBody) {
             log('No response body');
+            recordRequestFailure(ctx, { status: 'ERROR', errorType: 'empty_response', errorMessage: 'Response had no body' });
+            finishRequestContext(ctx);
             return response;
         }
 
         const reader = originalBody.getReader();
         const decoder = new TextDecoder();
-        let sseBuffer = '';
-        let usageFound = false;
+        const accumulator = createUsageAccumulator(ctx);
+        let streamFailure = null;
+        const sseParser = createSseParser(({ event, data }) => {
+            if (!data || data === '[DONE]') return;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                if (event === 'error') {
+                    streamFailure = { status: 'ERROR', errorType: 'stream_error', errorMessage: data.substring(0, 500) };
+                }
+                return;
+            }
+
+            // Errors such as overloaded_error can arrive mid-stream; keep the first one
+            streamFailure = streamFailure || parseErrorFromData(parsed);
+            accumulator.add(parseUsageFromData(parsed));
+        });
 
         const interceptedStream = new ReadableStream({
             async start(controller) {
@@ -1369,9 +5563,12 @@ function setupFetchInterceptor() {
                     while (true) {
                         const { done, value } = await reader.read();
                         if (done) {
-                            log('Stream complete. Usage found:', usageFound);
+                            sseParser.push(decoder.decode());
+                            sseParser.flush();
+                            log('Stream complete. Usage found:', accumulator.hasUsage());
                             controller.close();
-                            currentRequest.active = false;
+                            accumulator.commit(streamFailure);
+                            finishRequestContext(ctx);
                             break;
                         }
 
@@ -1379,38 +5576,21 @@ function setupFetchInterceptor() {
                         controller.enqueue(value);
 
                         // Parse for usage data
-                        const chunk = decoder.decode(value, { stream: true });
-                        sseBuffer += chunk;
-
-                        // Parse SSE events
-                        const events = sseBuffer.split(/\n\n/);
-                        sseBuffer = events.pop() || '';
-
-                        for (const event of events) {
-                            const lines = event.split('\n');
-                            for (const line of lines) {
-                                if (line.startsWith('data: ')) {
-                                    const eventData = line.slice(6).trim();
-                                    if (eventData && eventData !== '[DONE]') {
-                                        const usage = parseUsageFromEvent(eventData);
-                                        if (usage && usage.input_tokens > 0) {
-                                            usageFound = true;
-                                            processUsageData(usage);
-                                        }
-                                    }
-                                }
-                            }
-                        }
+                        sseParser.push(decoder.decode(value, { stream: true }));
                     }
                 } catch (error) {
                     log('Stream error:', error);
                     controller.error(error);
-                    currentRequest.active = false;
+                    accumulator.commit(streamFailure || classifyError(error));
+                    finishRequestContext(ctx);
                 }
             },
             cancel() {
                 reader.cancel();
-                currentRequest.active = false;
+                // Stopped generations still consumed input - commit what we have
+                sseParser.flush();
+                accumulator.commit({ status: 'ABORTED', errorType: 'user_abort', errorMessage: 'Generation stopped' });
+                finishRequestContext(ctx);
             },
         });
 
@@ -1485,13 +5665,16 @@ function updatePanel() {
     const lastAnalysis = lastRequest?.analysis;
     const primaryDiagnosis = lastAnalysis?.primaryDiagnosis;
 
-    if (!detectedClaudeUsage && sessionStats.totalRequests === 0) {
-        recEl.textContent = 'Waiting for Claude requests...';
+    if (lastRequest?.status === 'ERROR') {
+        recEl.textContent = `Last request failed: ${lastRequest.errorType}`;
+        recEl.style.color = '#f87171';
+    } else if (!detectedUsage && sessionStats.totalRequests === 0) {
+        recEl.textContent = 'Waiting for requests...';
         recEl.style.color = '';
     } else if (sessionStats.consecutiveMisses >= settings.wasteThreshold) {
         // Show smart diagnosis if available for consecutive misses
         if (primaryDiagnosis && primaryDiagnosis.action) {
-            recEl.innerHTML = `<span style="color: ${primaryDiagnosis.color}">${primaryDiagnosis.icon} ${primaryDiagnosis.issue}</span><br><small>${primaryDiagnosis.action}</small>`;
+            recEl.innerHTML = `<span style="color: ${primaryDiagnosis.color}">${escapeHtml(primaryDiagnosis.icon)} ${escapeHtml(primaryDiagnosis.issue)}</span><br><small>${escapeHtml(primaryDiagnosis.action)}</small>`;
             recEl.style.color = '';
         } else {
             recEl.textContent = `Warning: ${sessionStats.consecutiveMisses} consecutive misses`;
@@ -1505,9 +5688,9 @@ function updatePanel() {
     } else if (lastHadMiss && primaryDiagnosis) {
         // Show smart diagnosis for cache miss
         if (primaryDiagnosis.action) {
-            recEl.innerHTML = `<span style="color: ${primaryDiagnosis.color}">${primaryDiagnosis.icon} ${primaryDiagnosis.shortMessage}</span>`;
+            recEl.innerHTML = `<span style="color: ${primaryDiagnosis.color}">${escapeHtml(primaryDiagnosis.icon)} ${escapeHtml(primaryDiagnosis.shortMessage)}</span>`;
         } else {
-            recEl.innerHTML = `<span style="color: ${primaryDiagnosis.color}">${primaryDiagnosis.icon} ${primaryDiagnosis.shortMessage}</span>`;
+            recEl.innerHTML = `<span style="color: ${primaryDiagnosis.color}">${escapeHtml(primaryDiagnosis.icon)} ${escapeHtml(primaryDiagnosis.shortMessage)}</span>`;
         }
         recEl.style.color = '';
     } else if (lastHadMiss) {
@@ -1534,42 +5717,71 @@ function updatePanel() {
             `In: ${u.input_tokens} | Read: ${u.cache_read_input_tokens} | Write: ${u.cache_creation_input_tokens}`;
     }
 
+    updateBudgetStatus();
+    updatePredictionLine();
+
     // Update TTL timer
     updateTTLTimer();
 }
 
 /**
- * Update the TTL countdown timer
+ * Show spend against each configured budget in the panel
  */
-function updateTTLTimer() {
-    const ttlEl = document.getElementById('cache_ttl_timer');
-    if (!ttlEl) return;
-
-    if (!previousRequest.timestamp) {
-        ttlEl.textContent = 'TTL: No cache yet';
-        ttlEl.style.color = '';
-        return;
-    }
+function updateBudgetStatus() {
+    const el = document.getElementById('cache_budget_status');
+    if (!el) return;
+
+    const budgets = getBudgetStatus();
+    el.style.display = budgets.length > 0 ? '' : 'none';
+    el.innerHTML = budgets.map(b => {
+        const color = b.percent >= 100 ? '#f87171' : b.percent >= 80 ? '#fbbf24' : '#4ade80';
+        return `<span class="cache_budget_period" style="color: ${color}" title="${formatCost(b.spent)} of ${formatCost(b.limit)}">${b.label}: ${Math.round(b.percent)}%</span>`;
+    }).join(' ');
+}
 
-    const elapsed = Date.now() - previousRequest.timestamp;
-    const remaining = Math.max(0, 300000 - elapsed); // 5 min = 300000ms
+/**
+ * Format a remaining TTL as a colored countdown span
+ */
+function formatTtlCountdown(tier, lastActivity) {
+    const remaining = Math.max(0, getTtlMs(tier) - (Date.now() - lastActivity));
     const remainingSec = Math.floor(remaining / 1000);
-    const min = Math.floor(remainingSec / 60);
+    const hours = Math.floor(remainingSec / 3600);
+    const min = Math.floor((remainingSec % 3600) / 60);
     const sec = remainingSec % 60;
 
+    let text;
+    let color;
     if (remaining <= 0) {
-        ttlEl.textContent = 'TTL: EXPIRED';
-        ttlEl.style.color = '#f87171';
+        text = 'EXPIRED';
+        color = '#f87171';
     } else if (remaining < 60000) {
-        ttlEl.textContent = `TTL: ${sec}s`;
-        ttlEl.style.color = '#f87171';
-    } else if (remaining < 120000) {
-        ttlEl.textContent = `TTL: ${min}:${sec.toString().padStart(2, '0')}`;
-        ttlEl.style.color = '#fbbf24';
+        text = `${sec}s`;
+        color = '#f87171';
     } else {
-        ttlEl.textContent = `TTL: ${min}:${sec.toString().padStart(2, '0')}`;
-        ttlEl.style.color = '#4ade80';
+        text = hours > 0
+            ? `${hours}:${min.toString().padStart(2, '0')}:${sec.toString().padStart(2, '0')}`
+            : `${min}:${sec.toString().padStart(2, '0')}`;
+        color = remaining < 120000 ? '#fbbf24' : '#4ade80';
+    }
+
+    return `<span class="cache_ttl_tier" style="color: ${color}">${tier}: ${text}</span>`;
+}
+
+/**
+ * Update the TTL countdown timers, one per TTL tier in use
+ */
+function updateTTLTimer() {
+    const ttlEl = document.getElementById('cache_ttl_timer');
+    if (!ttlEl) return;
+
+    const activeTiers = Object.keys(CACHE_TTLS).filter(tier => cacheTierActivity[tier]);
+
+    if (activeTiers.length === 0) {
+        ttlEl.textContent = 'TTL: No cache yet';
+        return;
     }
+
+    ttlEl.innerHTML = `TTL ${activeTiers.map(tier => formatTtlCountdown(tier, cacheTierActivity[tier])).join(' ')}`;
 }
 
 /**
@@ -1615,9 +5827,13 @@ function createPanel() {
             </div>
             <div id="cache_last_usage" style="font-size: 10px; opacity: 0.7; margin-top: 4px;">--</div>
             <div id="cache_ttl_timer" style="font-size: 11px; margin-top: 4px;">TTL: --</div>
+            <div id="cache_next_prediction" style="font-size: 11px; margin-top: 4px; display: none;"></div>
+            <div id="cache_budget_status" style="font-size: 11px; margin-top: 4px; display: none;"></div>
             <div id="cache_recommendation">Waiting for requests...</div>
             <div class="cache_btn_row">
                 <button id="cache_show_history" class="cache_action_btn">View History</button>
+                <button id="cache_show_breakpoints" class="cache_action_btn">Breakpoints</button>
+                <button id="cache_show_chat_report" class="cache_action_btn" title="Analyze this chat">Chat Report</button>
                 <button id="cache_reset_stats" class="cache_action_btn">Reset</button>
             </div>
         </div>
@@ -1636,24 +5852,28 @@ function createPanel() {
         showHistoryModal();
     });
 
-    document.getElementById('cache_reset_stats').addEventListener('click', () => {
-        sessionStats = {
-            totalRequests: 0,
-            cacheHits: 0,
-            cacheMisses: 0,
-            consecutiveMisses: 0,
-            totalInputTokens: 0,
-            totalCacheReadTokens: 0,
-            totalCacheWriteTokens: 0,
-            lastUsage: null,
-            requestHistory: [],
-        };
-        detectedClaudeUsage = false;
-        updatePanel();
-        toastr.info('Cache stats reset');
+    document.getElementById('cache_show_breakpoints').addEventListener('click', () => {
+        showBreakpointMap();
+    });
+
+    document.getElementById('cache_show_chat_report').addEventListener('click', () => {
+        showChatReport();
     });
 
+    document.getElementById('cache_reset_stats').addEventListener('click', resetSessionStats);
+
+    updatePanel();
+}
+
+/**
+ * Reset this session's stats (daily totals and saved history are kept)
+ */
+function resetSessionStats() {
+    sessionStats = createSessionStats();
+    detectedUsage = false;
+    nextPrediction = null;
     updatePanel();
+    toastr.info('Cache stats reset');
 }
 
 /**
@@ -1663,7 +5883,8 @@ function loadSettings() {
     extension_settings[extensionName] = extension_settings[extensionName] || {};
     for (const [key, value] of Object.entries(defaultSettings)) {
         if (extension_settings[extensionName][key] === undefined) {
-            extension_settings[extensionName][key] = value;
+            // Clone objects so edits never mutate the defaults
+            extension_settings[extensionName][key] = typeof value === 'object' && value !== null ? structuredClone(value) : value;
         }
     }
 }
@@ -1693,12 +5914,114 @@ async function addSettingsUI() {
                         <input type="number" id="cache_monitor_waste_threshold" min="1" max="10" value="3" style="width: 50px" />
                         <small>misses</small>
                     </div>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="cache_monitor_waste_hard_stop" />
+                        <span>Pause Requests at Waste Threshold</span>
+                    </label>
+                    <div>
+                        <label class="checkbox_label" style="display: inline-flex;">
+                            <input type="checkbox" id="cache_monitor_confirm_rewrites" />
+                            <span>Confirm Predicted Cache Rewrites over $</span>
+                        </label>
+                        <input type="number" id="cache_monitor_rewrite_threshold" min="0" step="0.01" style="width: 70px" />
+                    </div>
+                    <hr>
+                    <div class="cache_budget_settings">
+                        <b>Spend Budgets</b>
+                        <small style="opacity: 0.7;">USD, 0 = off. Weeks start on Monday.</small>
+                        <div>
+                            <label>Daily</label>
+                            <input type="number" id="cache_monitor_budget_daily" min="0" step="0.01" style="width: 70px" />
+                            <label>Weekly</label>
+                            <input type="number" id="cache_monitor_budget_weekly" min="0" step="0.01" style="width: 70px" />
+                            <label>Monthly</label>
+                            <input type="number" id="cache_monitor_budget_monthly" min="0" step="0.01" style="width: 70px" />
+                        </div>
+                        <div>
+                            <label for="cache_monitor_budget_levels">Warn at</label>
+                            <input type="text" id="cache_monitor_budget_levels" class="text_pole" placeholder="50, 80, 100" style="width: 120px" />
+                            <small>% of budget</small>
+                        </div>
+                        <label class="checkbox_label">
+                            <input type="checkbox" id="cache_monitor_budget_hard_stop" />
+                            <span>Pause Requests When a Budget Is Used Up</span>
+                        </label>
+                    </div>
                     <hr>
                     <div>
                         <label for="cache_monitor_openrouter_key">OpenRouter API Key:</label>
                         <input type="password" id="cache_monitor_openrouter_key" class="text_pole" placeholder="sk-or-..." style="width: 100%; margin-top: 5px;" />
                         <small style="opacity: 0.7;">Required to fetch cache stats from OpenRouter</small>
                     </div>
+                    <hr>
+                    <label class="checkbox_label">
+                        <input type="checkbox" id="cache_monitor_persist_history" />
+                        <span>Save Request History</span>
+                    </label>
+                    <div>
+                        <label>Keep last</label>
+                        <input type="number" id="cache_monitor_retention_count" min="0" style="width: 70px" />
+                        <small>requests,</small>
+                        <label>up to</label>
+                        <input type="number" id="cache_monitor_retention_days" min="0" style="width: 50px" />
+                        <small>days (0 = no limit)</small>
+                    </div>
+                    <button id="cache_monitor_clear_history" class="menu_button">Clear Saved History</button>
+                    <hr>
+                    <div class="cache_pricing_settings">
+                        <b>Model Pricing</b>
+                        <small style="opacity: 0.7;">USD per 1M tokens. Rules are checked top to bottom; first matching pattern wins.</small>
+                        <table class="cache_pricing_table">
+                            <thead>
+                                <tr>
+                                    <th>Pattern</th>
+                                    <th>Label</th>
+                                    <th>Input</th>
+                                    <th>Output</th>
+                                    <th>Write 5m</th>
+                                    <th>Write 1h</th>
+                                    <th>Read</th>
+                                    <th>Updated</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="cache_pricing_tbody"></tbody>
+                        </table>
+                        <div class="cache_btn_row">
+                            <button id="cache_pricing_add" class="menu_button">Add Rule</button>
+                            <button id="cache_pricing_export" class="menu_button">Export</button>
+                            <button id="cache_pricing_import" class="menu_button">Import</button>
+                            <button id="cache_pricing_reset" class="menu_button">Reset</button>
+                        </div>
+                        <input type="file" id="cache_pricing_import_file" accept=".json,application/json" hidden />
+                    </div>
+                    <hr>
+                    <div class="cache_pricing_settings">
+                        <b>Diagnosis Rules</b>
+                        <small style="opacity: 0.7;">Checked top to bottom before the built-in diagnoses. A rule matches a cache miss when every condition it sets matches the first changed message: the pattern (regex, tested against the changed lines), the role, and the message index (e.g. 2, 0-3 or 5+).</small>
+                        <table class="cache_pricing_table cache_rules_table">
+                            <thead>
+                                <tr>
+                                    <th title="Enabled">On</th>
+                                    <th>Name</th>
+                                    <th>Icon</th>
+                                    <th>Pattern</th>
+                                    <th>Role</th>
+                                    <th>Index</th>
+                                    <th>Severity</th>
+                                    <th>Action</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody id="cache_rules_tbody"></tbody>
+                        </table>
+                        <div class="cache_btn_row">
+                            <button id="cache_rules_add" class="menu_button">Add Rule</button>
+                            <button id="cache_rules_export" class="menu_button">Export</button>
+                            <button id="cache_rules_import" class="menu_button">Import</button>
+                        </div>
+                        <input type="file" id="cache_rules_import_file" accept=".json,application/json" hidden />
+                    </div>
                 </div>
             </div>
         </div>
@@ -1720,6 +6043,40 @@ async function addSettingsUI() {
         settings.wasteThreshold = parseInt(this.value) || 3;
         saveSettingsDebounced();
     });
+    $('#cache_monitor_waste_hard_stop').prop('checked', settings.wasteHardStop).on('change', function () {
+        settings.wasteHardStop = this.checked;
+        saveSettingsDebounced();
+    });
+    $('#cache_monitor_confirm_rewrites').prop('checked', settings.confirmExpensiveRewrites).on('change', function () {
+        settings.confirmExpensiveRewrites = this.checked;
+        saveSettingsDebounced();
+    });
+    $('#cache_monitor_rewrite_threshold').val(settings.rewriteCostThreshold).on('change', function () {
+        settings.rewriteCostThreshold = Math.max(0, parseFloat(this.value) || 0);
+        this.value = settings.rewriteCostThreshold;
+        saveSettingsDebounced();
+    });
+
+    for (const period of BUDGET_PERIODS) {
+        $(`#cache_monitor_budget_${period.id}`).val(settings[period.setting]).on('change', function () {
+            settings[period.setting] = Math.max(0, parseFloat(this.value) || 0);
+            this.value = settings[period.setting];
+            saveSettingsDebounced();
+            updatePanel();
+        });
+    }
+    $('#cache_monitor_budget_levels').val(settings.budgetWarningLevels.join(', ')).on('change', function () {
+        settings.budgetWarningLevels = [...new Set(this.value.split(',')
+            .map(v => parseFloat(v))
+            .filter(v => Number.isFinite(v) && v > 0))]
+            .sort((a, b) => a - b);
+        this.value = settings.budgetWarningLevels.join(', ');
+        saveSettingsDebounced();
+    });
+    $('#cache_monitor_budget_hard_stop').prop('checked', settings.budgetHardStop).on('change', function () {
+        settings.budgetHardStop = this.checked;
+        saveSettingsDebounced();
+    });
     $('#cache_monitor_openrouter_key').val(settings.openrouterApiKey || '').on('change', function () {
         settings.openrouterApiKey = this.value.trim();
         saveSettingsDebounced();
@@ -1727,6 +6084,537 @@ async function addSettingsUI() {
             toastr.success('OpenRouter API key saved');
         }
     });
+
+    $('#cache_monitor_persist_history').prop('checked', settings.persistHistory).on('change', function () {
+        settings.persistHistory = this.checked;
+        saveSettingsDebounced();
+    });
+    $('#cache_monitor_retention_count').val(settings.historyRetentionCount).on('change', function () {
+        settings.historyRetentionCount = Math.max(0, parseInt(this.value) || 0);
+        saveSettingsDebounced();
+        prunePersistedHistory();
+    });
+    $('#cache_monitor_retention_days').val(settings.historyRetentionDays).on('change', function () {
+        settings.historyRetentionDays = Math.max(0, parseInt(this.value) || 0);
+        saveSettingsDebounced();
+        prunePersistedHistory();
+    });
+    $('#cache_monitor_clear_history').on('click', async () => {
+        if (!confirm('Delete all saved request history? Daily totals are kept.')) return;
+        try {
+            await clearPersistedHistory();
+            toastr.info('Saved request history cleared');
+        } catch (e) {
+            toastr.error(`Could not clear history: ${e.message}`);
+        }
+    });
+
+    renderPricingTable();
+
+    // Prices feed the prediction's cost estimate
+    const savePricingRules = () => {
+        saveSettingsDebounced();
+        renderPricingTable();
+        if (nextPrediction) refreshNextPrediction();
+        updatePredictionLine();
+    };
+
+    $('#cache_pricing_tbody').on('change', 'input', function () {
+        const rule = settings.pricingRules[Number(this.dataset.index)];
+        const field = this.dataset.field;
+        if (!rule) return;
+
+        if (field === 'pattern') {
+            try {
+                new RegExp(this.value, 'i');
+            } catch (e) {
+                toastr.error(`Invalid pattern: ${e.message}`);
+                this.value = rule.pattern;
+                return;
+            }
+            rule.pattern = this.value;
+        } else if (field === 'label') {
+            rule.label = this.value.trim();
+        } else {
+            rule[field] = parseFloat(this.value) || 0;
+        }
+
+        rule.updated = getTodayKey();
+        savePricingRules();
+    });
+
+    $('#cache_pricing_tbody').on('click', 'button', function () {
+        const rules = settings.pricingRules;
+        const index = Number(this.dataset.index);
+        const action = this.dataset.action;
+
+        if (action === 'up' && index > 0) {
+            [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+        } else if (action === 'down' && index < rules.length - 1) {
+            [rules[index + 1], rules[index]] = [rules[index], rules[index + 1]];
+        } else if (action === 'delete') {
+            rules.splice(index, 1);
+        } else {
+            return;
+        }
+
+        savePricingRules();
+    });
+
+    $('#cache_pricing_add').on('click', () => {
+        settings.pricingRules.unshift({
+            pattern: 'new-model',
+            label: 'New Model',
+            input: 3.0,
+            output: 15.0,
+            cacheWrite: 3.75,
+            cacheWrite1h: 6.0,
+            cacheRead: 0.30,
+            updated: getTodayKey(),
+        });
+        savePricingRules();
+    });
+
+    $('#cache_pricing_export').on('click', () => {
+        const data = {
+            version: 1,
+            exported: new Date().toISOString(),
+            rules: settings.pricingRules,
+        };
+        downloadFile('cache-monitor-pricing.json', JSON.stringify(data, null, 2), 'application/json');
+    });
+
+    $('#cache_pricing_import').on('click', () => $('#cache_pricing_import_file').trigger('click'));
+
+    $('#cache_pricing_import_file').on('change', async function () {
+        const file = this.files?.[0];
+        this.value = '';
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const rules = validatePricingRules(Array.isArray(data) ? data : data?.rules);
+            settings.pricingRules = rules;
+            savePricingRules();
+            toastr.success(`Imported ${rules.length} pricing rules`);
+        } catch (e) {
+            toastr.error(`Could not import pricing: ${e.message}`);
+        }
+    });
+
+    $('#cache_pricing_reset').on('click', () => {
+        if (!confirm('Reset model pricing to the built-in defaults?')) return;
+        settings.pricingRules = structuredClone(defaultPricingRules);
+        savePricingRules();
+    });
+
+    renderDiagnosisRulesTable();
+
+    $('#cache_rules_tbody').on('change', 'input, select', function () {
+        const rule = settings.diagnosisRules[Number(this.dataset.index)];
+        const field = this.dataset.field;
+        if (!rule) return;
+
+        if (field === 'enabled') {
+            rule.enabled = this.checked;
+        } else if (field === 'pattern') {
+            try {
+                new RegExp(this.value, 'i');
+            } catch (e) {
+                toastr.error(`Invalid pattern: ${e.message}`);
+                this.value = rule.pattern;
+                return;
+            }
+            rule.pattern = this.value;
+        } else if (field === 'messageIndex') {
+            if (this.value.trim() && !INDEX_RANGE_PATTERN.test(this.value)) {
+                toastr.error('Message index must look like 2, 0-3 or 5+');
+                this.value = rule.messageIndex;
+                return;
+            }
+            rule.messageIndex = this.value.trim();
+        } else if (field === 'icon') {
+            rule.icon = sanitizeRuleIcon(this.value);
+            this.value = rule.icon;
+        } else {
+            rule[field] = this.value.trim();
+        }
+
+        saveSettingsDebounced();
+    });
+
+    $('#cache_rules_tbody').on('click', 'button', function () {
+        const rules = settings.diagnosisRules;
+        const index = Number(this.dataset.index);
+        const action = this.dataset.action;
+
+        if (action === 'up' && index > 0) {
+            [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+        } else if (action === 'down' && index < rules.length - 1) {
+            [rules[index + 1], rules[index]] = [rules[index], rules[index + 1]];
+        } else if (action === 'delete') {
+            rules.splice(index, 1);
+        } else {
+            return;
+        }
+
+        saveSettingsDebounced();
+        renderDiagnosisRulesTable();
+    });
+
+    $('#cache_rules_add').on('click', () => {
+        settings.diagnosisRules.push({
+            enabled: true,
+            name: 'Status Block Update',
+            icon: '📋',
+            pattern: '<status>',
+            role: '',
+            messageIndex: '',
+            severity: 'low',
+            action: '',
+        });
+        saveSettingsDebounced();
+        renderDiagnosisRulesTable();
+    });
+
+    $('#cache_rules_export').on('click', () => {
+        const data = {
+            version: 1,
+            exported: new Date().toISOString(),
+            rules: settings.diagnosisRules,
+        };
+        downloadFile('cache-monitor-diagnosis-rules.json', JSON.stringify(data, null, 2), 'application/json');
+    });
+
+    $('#cache_rules_import').on('click', () => $('#cache_rules_import_file').trigger('click'));
+
+    $('#cache_rules_import_file').on('change', async function () {
+        const file = this.files?.[0];
+        this.value = '';
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const rules = validateDiagnosisRules(Array.isArray(data) ? data : data?.rules);
+            settings.diagnosisRules = rules;
+            saveSettingsDebounced();
+            renderDiagnosisRulesTable();
+            toastr.success(`Imported ${rules.length} diagnosis rules`);
+        } catch (e) {
+            toastr.error(`Could not import diagnosis rules: ${e.message}`);
+        }
+    });
+}
+
+/**
+ * Render the pricing rules table in the settings drawer
+ */
+function renderPricingTable() {
+    const tbody = document.getElementById('cache_pricing_tbody');
+    if (!tbody) return;
+
+    const rules = extension_settings[extensionName].pricingRules;
+    const priceFields = ['input', 'output', 'cacheWrite', 'cacheWrite1h', 'cacheRead'];
+
+    tbody.innerHTML = rules.map((rule, i) => `
+        <tr>
+            <td><input class="text_pole" data-index="${i}" data-field="pattern" value="${escapeHtml(rule.pattern || '')}" /></td>
+            <td><input class="text_pole" data-index="${i}" data-field="label" value="${escapeHtml(rule.label || '')}" /></td>
+            ${priceFields.map(field => `
+                <td><input class="text_pole" type="number" min="0" step="0.01" data-index="${i}" data-field="${field}" value="${rule[field] ?? 0}" /></td>
+            `).join('')}
+            <td class="cache_pricing_updated">${escapeHtml(rule.updated || '--')}</td>
+            <td class="cache_pricing_actions">
+                <button class="menu_button" data-index="${i}" data-action="up" title="Higher priority">▲</button>
+                <button class="menu_button" data-index="${i}" data-action="down" title="Lower priority">▼</button>
+                <button class="menu_button" data-index="${i}" data-action="delete" title="Delete rule">✕</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Validate imported pricing rules, throwing on malformed data
+ */
+function validatePricingRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new Error('Expected a non-empty array of rules');
+    }
+
+    return rules.map((rule, i) => {
+        if (typeof rule?.pattern !== 'string') {
+            throw new Error(`Rule ${i + 1} has no pattern`);
+        }
+        new RegExp(rule.pattern, 'i'); // Throws on invalid patterns
+        if (rule.updated !== undefined && (typeof rule.updated !== 'string' || !DATE_KEY_PATTERN.test(rule.updated))) {
+            throw new Error(`Rule ${i + 1} has an invalid updated date (expected YYYY-MM-DD)`);
+        }
+
+        const input = Number(rule.input) || 0;
+        return {
+            pattern: rule.pattern,
+            label: String(rule.label || rule.pattern),
+            input,
+            output: Number(rule.output) || 0,
+            cacheWrite: Number(rule.cacheWrite) || 0,
+            cacheWrite1h: Number(rule.cacheWrite1h ?? input * 2) || 0,
+            cacheRead: Number(rule.cacheRead) || 0,
+            updated: rule.updated || getTodayKey(),
+        };
+    });
+}
+
+/**
+ * Render the diagnosis rules table in the settings drawer
+ */
+function renderDiagnosisRulesTable() {
+    const tbody = document.getElementById('cache_rules_tbody');
+    if (!tbody) return;
+
+    const rules = extension_settings[extensionName].diagnosisRules;
+    const options = (values, selected) => values
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    tbody.innerHTML = rules.length === 0
+        ? '<tr><td colspan="9" class="cache_pricing_updated">No rules - only the built-in diagnoses are used</td></tr>'
+        : rules.map((rule, i) => `
+        <tr>
+            <td><input type="checkbox" data-index="${i}" data-field="enabled" ${rule.enabled ? 'checked' : ''} /></td>
+            <td><input class="text_pole" data-index="${i}" data-field="name" value="${escapeHtml(rule.name || '')}" /></td>
+            <td><input class="text_pole cache_rule_icon" data-index="${i}" data-field="icon" value="${escapeHtml(rule.icon || '')}" maxlength="8" /></td>
+            <td><input class="text_pole" data-index="${i}" data-field="pattern" value="${escapeHtml(rule.pattern || '')}" placeholder="regex" /></td>
+            <td>
+                <select class="text_pole" data-index="${i}" data-field="role">
+                    ${options([['', 'any'], ['system', 'system'], ['user', 'user'], ['assistant', 'assistant']], rule.role || '')}
+                </select>
+            </td>
+            <td><input class="text_pole cache_rule_index" data-index="${i}" data-field="messageIndex" value="${escapeHtml(rule.messageIndex || '')}" placeholder="any" /></td>
+            <td>
+                <select class="text_pole" data-index="${i}" data-field="severity">
+                    ${options([['low', 'low'], ['medium', 'medium'], ['high', 'high']], rule.severity || 'medium')}
+                </select>
+            </td>
+            <td><input class="text_pole" data-index="${i}" data-field="action" value="${escapeHtml(rule.action || '')}" placeholder="none needed" /></td>
+            <td class="cache_pricing_actions">
+                <button class="menu_button" data-index="${i}" data-action="up" title="Higher priority">▲</button>
+                <button class="menu_button" data-index="${i}" data-action="down" title="Lower priority">▼</button>
+                <button class="menu_button" data-index="${i}" data-action="delete" title="Delete rule">✕</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Validate imported diagnosis rules, throwing on malformed data
+ */
+function validateDiagnosisRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Expected an array of rules');
+    }
+
+    return rules.map((rule, i) => {
+        if (typeof rule?.name !== 'string' || !rule.name.trim()) {
+            throw new Error(`Rule ${i + 1} has no name`);
+        }
+        const pattern = typeof rule.pattern === 'string' ? rule.pattern : '';
+        if (pattern) new RegExp(pattern, 'i'); // Throws on invalid patterns
+        const messageIndex = rule.messageIndex === undefined || rule.messageIndex === null ? '' : String(rule.messageIndex).trim();
+        if (messageIndex && !INDEX_RANGE_PATTERN.test(messageIndex)) {
+            throw new Error(`Rule ${i + 1} has an invalid message index "${messageIndex}"`);
+        }
+
+        return {
+            enabled: rule.enabled !== false,
+            name: rule.name.trim(),
+            icon: sanitizeRuleIcon(rule.icon),
+            pattern,
+            role: ['system', 'user', 'assistant'].includes(rule.role) ? rule.role : '',
+            messageIndex,
+            severity: DIAGNOSIS_SEVERITY_COLORS[rule.severity] ? rule.severity : 'medium',
+            action: String(rule.action || ''),
+        };
+    });
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Short cache status for a history entry, as used in text output
+ */
+function getEntryStatus(entry) {
+    if (entry.status === 'ERROR' || entry.status === 'ABORTED') return entry.status;
+    if (entry.cacheHit) return 'HIT';
+    if (entry.cacheWrite) return 'WRITE';
+    return 'MISS';
+}
+
+/**
+ * Seconds until the cache expires. Uses the given TTL tier, or the
+ * longest-lived active tier. 0 if nothing is cached.
+ */
+function getTtlRemainingSeconds(tier = null) {
+    const tiers = tier ? [tier] : Object.keys(CACHE_TTLS);
+    let remaining = 0;
+    for (const t of tiers) {
+        if (!cacheTierActivity[t]) continue;
+        remaining = Math.max(remaining, getTtlMs(t) - (Date.now() - cacheTierActivity[t]));
+    }
+    return Math.max(0, Math.floor(remaining / 1000));
+}
+
+/**
+ * Text summary of this session's cache stats
+ */
+function getStatsSummary() {
+    const read = sessionStats.totalCacheReadTokens;
+    const write = sessionStats.totalCacheWriteTokens;
+    const totalInput = Math.max(sessionStats.totalInputTokens, read + write);
+    const cost = sessionStats.requestHistory.reduce((sum, r) => sum + (r.costs?.totalCost || 0), 0);
+    const savings = sessionStats.requestHistory.reduce((sum, r) => sum + (r.costs?.savings || 0), 0);
+    const ttl = getTtlRemainingSeconds();
+
+    return [
+        `Requests: ${sessionStats.totalRequests} (${sessionStats.cacheHits} hits, ${sessionStats.cacheMisses} misses)`,
+        `Hit rate: ${totalInput > 0 ? `${Math.round((read / totalInput) * 100)}%` : '--'}`,
+        `Cache read: ${read.toLocaleString()} tokens, write: ${write.toLocaleString()} tokens`,
+        `Cost: ${formatCost(cost)}, savings: ${formatCost(savings)}`,
+        `Consecutive misses: ${sessionStats.consecutiveMisses}`,
+        `Failed: ${sessionStats.errorRequests} errors, ${sessionStats.abortedRequests} aborted (${formatFailureRate()})`,
+        `TTL remaining: ${ttl > 0 ? `${ttl}s` : Object.values(cacheTierActivity).some(Boolean) ? 'expired' : 'no cache yet'}`,
+    ].join('\n');
+}
+
+/**
+ * Text for the last request with a cache miss diagnosis
+ */
+function getDiagnosisSummary() {
+    const entry = [...sessionStats.requestHistory]
+        .sort((a, b) => (b.startTime || b.timestamp) - (a.startTime || a.timestamp))
+        .find(e => e.analysis?.primaryDiagnosis);
+    if (!entry) return 'No cache misses diagnosed this session';
+
+    const a = entry.analysis;
+    const pd = a.primaryDiagnosis;
+    const lines = [
+        `Request #${entry.requestId} at ${formatTime(entry.timestamp)}: ${pd.icon} ${pd.issue}`,
+        pd.shortMessage,
+    ];
+    if (pd.action) lines.push(`Fix: ${pd.action}`);
+    for (const rec of a.recommendations || []) {
+        lines.push(`- ${rec.message}${rec.actionable ? ` (${rec.actionable})` : ''}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Show command output unless quiet was requested, and return it for piping
+ */
+function commandOutput(text, args) {
+    if (String(args?.quiet) !== 'true') {
+        toastr.info(escapeHtml(text).replace(/\n/g, '<br>'), 'Cache Monitor', { escapeHtml: false, timeOut: 10000 });
+    }
+    return text;
+}
+
+/**
+ * Register /cache-* slash commands for Quick Replies and STscript
+ */
+function registerSlashCommands() {
+    const quietArg = SlashCommandNamedArgument.fromProps({
+        name: 'quiet',
+        description: 'Only return the result, without showing it',
+        typeList: [ARGUMENT_TYPE.BOOLEAN],
+        defaultValue: 'false',
+        enumList: ['true', 'false'],
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-stats',
+        callback: (args) => commandOutput(getStatsSummary(), args),
+        returns: 'text summary of session cache stats',
+        namedArgumentList: [quietArg],
+        helpString: 'Show a summary of this session\'s prompt cache stats and pass it down the pipe.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-history',
+        callback: (args, count) => {
+            const n = parseInt(count);
+            if (!n || n < 1) {
+                showHistoryModal();
+                return '';
+            }
+            const rows = [...sessionStats.requestHistory]
+                .sort((a, b) => (b.startTime || b.timestamp) - (a.startTime || a.timestamp))
+                .slice(0, n)
+                .map(e => {
+                    const u = e.usage || {};
+                    return `#${e.requestId} ${formatTime(e.timestamp)} ${u.model || e.model || 'unknown'} ${getEntryStatus(e)}`
+                        + ` read ${(u.cache_read_input_tokens || 0).toLocaleString()} write ${(u.cache_creation_input_tokens || 0).toLocaleString()}`
+                        + ` ${formatCost(e.costs?.totalCost || 0)}`;
+                });
+            return commandOutput(rows.length > 0 ? rows.join('\n') : 'No requests this session', args);
+        },
+        returns: 'the last n requests, one per line',
+        namedArgumentList: [quietArg],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'number of requests to print (opens the history view if omitted)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: false,
+            }),
+        ],
+        helpString: 'Open the cache history view, or print the last <code>n</code> requests.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-reset',
+        callback: () => {
+            resetSessionStats();
+            return '';
+        },
+        helpString: 'Reset this session\'s cache stats, like the panel\'s Reset button.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-diagnose',
+        callback: (args) => commandOutput(getDiagnosisSummary(), args),
+        returns: 'diagnosis and recommendations for the last cache miss',
+        namedArgumentList: [quietArg],
+        helpString: 'Show why the last cache miss happened and how to fix it.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-ttl',
+        callback: (args) => String(getTtlRemainingSeconds(args.tier ? String(args.tier) : null)),
+        returns: 'seconds until the cache expires (0 if nothing is cached)',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'tier',
+                description: 'TTL tier to check (defaults to the longest-lived active tier)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(CACHE_TTLS),
+            }),
+        ],
+        helpString: `
+            Return the seconds left before the prompt cache expires. For example, warn before a long pause:
+            <pre><code>/cache-ttl | /if left={{pipe}} rule=lt right=60 {: /echo Cache is about to expire :}</code></pre>
+        `,
+    }));
 }
 
 // Initialize
@@ -1736,9 +6624,19 @@ jQuery(async () => {
     await addSettingsUI();
     createPanel();
     setupFetchInterceptor();
-
-    // Update TTL timer every second
-    setInterval(updateTTLTimer, 1000);
+    registerSlashCommands();
+    trackGenerationEvents();
+    trackMessageEvents();
+    trackWorldInfoEvents();
+    eventSource.on(event_types.CHAT_CHANGED, clearNextPrediction);
+    prunePersistedHistory();
+
+    // Update TTL timers every second
+    setInterval(() => {
+        updateTTLTimer();
+        updateBreakpointCountdowns();
+        updatePredictionLine();
+    }, 1000);
 
     log('Extension loaded! Open browser console to see debug output.');
 });